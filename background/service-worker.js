@@ -3,6 +3,8 @@
  * 后台服务脚本 - 带请求限流、重试机制和 Tab 状态管理
  */
 
+import '../shared/providers.js';
+
 console.log('[OpenImmerseTranslate] Service worker started');
 
 // ==================== Shared translation helpers (inlined for MV3 module worker) ====================
@@ -93,7 +95,17 @@ const DEFAULT_GLOBAL_CONFIG = {
   customPrompt: '',
   maxTokens: 2048,
   temperature: 0.3,
-  maxConcurrent: 6
+  maxConcurrent: 6,
+  enableCache: true,
+  enableStreaming: true,
+  structuredOutput: false,
+  contextMode: false,
+  richText: false,
+  protectedPatterns: [],
+  fallbackProviders: [],
+  activeProfile: '',
+  promptTemplate: '',
+  sitePromptTemplates: {}
 };
 
 const PROVIDER_DEFAULTS_SW = {
@@ -101,12 +113,52 @@ const PROVIDER_DEFAULTS_SW = {
   deepseek: { endpoint: 'https://api.deepseek.com/v1/chat/completions', model: 'deepseek-chat', needsApiKey: true },
   openai:   { endpoint: 'https://api.openai.com/v1/chat/completions', model: 'gpt-4o-mini', needsApiKey: true },
   anthropic:{ endpoint: 'https://api.anthropic.com/v1/messages', model: 'claude-3-haiku-20240307', needsApiKey: true },
+  gemini:   { endpoint: 'https://generativelanguage.googleapis.com/v1beta', model: 'gemini-2.0-flash', needsApiKey: true },
+  azure:    { endpoint: '', model: '', apiVersion: '2024-10-21', needsApiKey: true },
+  deepl:    { endpoint: '', model: '', needsApiKey: true },
+  baidu:    { endpoint: 'https://fanyi-api.baidu.com/api/trans/vip/translate', model: '', needsApiKey: true },
+  youdao:   { endpoint: 'https://openapi.youdao.com/v2/api', model: '', needsApiKey: true },
+  tencent:  { endpoint: 'https://tmt.tencentcloudapi.com', model: '', region: 'ap-guangzhou', needsApiKey: true },
+  libretranslate: { endpoint: 'http://localhost:5000', model: '', needsApiKey: false },
   moonshot: { endpoint: 'https://api.moonshot.cn/v1/chat/completions', model: 'moonshot-v1-8k', needsApiKey: true },
   zhipu:    { endpoint: 'https://open.bigmodel.cn/api/paas/v4/chat/completions', model: 'glm-4-flash', needsApiKey: true },
   ollama:   { endpoint: 'http://localhost:11434/api/chat', model: 'qwen3', needsApiKey: false },
   custom:   { endpoint: '', model: '', needsApiKey: true }
 };
 
+// 与弹窗、content script 共用 shared/providers.js 的同一份数据和判断（模型 token 上限、appId 要求、配置映射、当前档案）
+const {
+  checkNeedsAppId,
+  findActiveProfile,
+  getProviderRuntimeConfig,
+  estimateTokens,
+  getModelTokenLimits,
+  PER_ITEM_OVERHEAD_TOKENS,
+  OUTPUT_EXPANSION
+} = globalThis.OIT_SHARED;
+
+function getModelOutputLimit(config) {
+  return getModelTokenLimits(config.provider, config.modelName).output || 2048;
+}
+
+function estimateRequestTokens(texts) {
+  const input = texts.reduce((sum, text) => sum + estimateTokens(text) + PER_ITEM_OVERHEAD_TOKENS, 0);
+  return input * (1 + OUTPUT_EXPANSION);
+}
+
+/**
+ * 按批次预计的译文长度确定 max_tokens
+ * 用户设置的 maxTokens 作为下限，避免大批次被截断；不超过模型输出上限
+ */
+function resolveMaxTokens(texts, config) {
+  const expected = texts.reduce(
+    (sum, text) => sum + (estimateTokens(text) + PER_ITEM_OVERHEAD_TOKENS) * OUTPUT_EXPANSION,
+    0
+  );
+  const wanted = Math.max(config.maxTokens || 2048, expected);
+  return Math.min(wanted, getModelOutputLimit(config));
+}
+
 function clampMaxConcurrentFromConfig(value) {
   const n = parseInt(value, 10);
   if (!Number.isFinite(n)) return DEFAULT_GLOBAL_CONFIG.maxConcurrent;
@@ -114,6 +166,11 @@ function clampMaxConcurrentFromConfig(value) {
 }
 
 // ==================== 请求限流器 ====================
+/**
+ * 全局并发上限 + 最小请求间隔，另外每个 provider 各有一个令牌桶：
+ * - rpm / tpm：每分钟请求数 / token 数上限（0 为不限），桶容量即每分钟额度，按时间匀速补充
+ * - 响应头中的 Retry-After、x-ratelimit-remaining-* 会暂停该 provider 的队列，直到额度重置
+ */
 class RateLimiter {
   constructor(maxConcurrent = 2, minInterval = 1000) {
     this.maxConcurrent = maxConcurrent;  // 最大并发数
@@ -122,9 +179,17 @@ class RateLimiter {
     this.lastRequestTime = 0;
     // Event-driven: queue of resolve callbacks instead of polling
     this.waitQueue = [];
+    this.buckets = new Map();             // provider -> 令牌桶状态
   }
   
-  async acquire() {
+  /**
+   * @param {string} [provider] - 不传时只做全局并发控制
+   * @param {number} [tokens] - 本次请求预计消耗的 token 数（计入 TPM）
+   */
+  async acquire(provider, tokens = 0) {
+    if (provider) {
+      await this._takeFromBucket(provider, tokens);
+    }
     return new Promise((resolve) => {
       const tryAcquire = () => {
         const now = Date.now();
@@ -161,55 +226,405 @@ class RateLimiter {
     const max = clampMaxConcurrentFromConfig(config?.maxConcurrent);
     this.maxConcurrent = max;
   }
+
+  /** 同步 provider 的 RPM/TPM 配置（备用服务各用自己的配置） */
+  setProviderLimits(provider, rpm, tpm) {
+    const bucket = this._getBucket(provider);
+    bucket.rpm = Math.max(0, parseInt(rpm, 10) || 0);
+    bucket.tpm = Math.max(0, parseInt(tpm, 10) || 0);
+  }
+
+  /**
+   * withRetry 每次尝试前调用。首次尝试的 RPM/TPM 已在 acquire() 中扣除，只需等暂停结束；
+   * 重试同样是一次请求，要再从桶里扣一次，否则 429 重试会绕过限流（并发槽位沿用 acquire 的）
+   * @param {number} attemptIndex - 第几次尝试，0 为首次
+   */
+  async acquireAttempt(provider, tokens, attemptIndex) {
+    if (attemptIndex > 0) {
+      await this._takeFromBucket(provider, tokens);
+    } else {
+      await this.waitUntilResumed(provider);
+    }
+  }
+
+  /** 等待 provider 的暂停结束（避免在 Retry-After 窗口内继续请求） */
+  async waitUntilResumed(provider) {
+    const bucket = this.buckets.get(provider);
+    const wait = bucket ? bucket.pausedUntil - Date.now() : 0;
+    if (wait > 0) {
+      console.log(`[OpenImmerseTranslate] ${provider} paused, waiting ${wait}ms`);
+      await sleep(wait);
+    }
+  }
+
+  pause(provider, ms) {
+    if (!(ms > 0)) return;
+    const bucket = this._getBucket(provider);
+    bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+  }
+
+  /**
+   * 根据响应头调整 provider 的节奏
+   * 支持 Retry-After（秒或 HTTP 日期）和 OpenAI 风格的 x-ratelimit-*-requests / x-ratelimit-*-tokens
+   */
+  observeResponse(provider, response) {
+    const headers = response?.headers;
+    if (!headers || typeof headers.get !== 'function') return;
+
+    const retryAfter = parseRetryAfter(headers.get('retry-after'));
+    if (retryAfter !== null) {
+      this.pause(provider, retryAfter);
+    }
+
+    ['requests', 'tokens'].forEach(kind => {
+      const remaining = headers.get(`x-ratelimit-remaining-${kind}`);
+      if (remaining !== null && parseInt(remaining, 10) <= 0) {
+        // 额度用完：暂停到重置时间（未给出时按 1 秒）
+        const reset = parseRateLimitReset(headers.get(`x-ratelimit-reset-${kind}`));
+        this.pause(provider, reset ?? 1000);
+      }
+
+      // 用户未配置时，采用服务端公布的上限
+      const limit = parseInt(headers.get(`x-ratelimit-limit-${kind}`), 10);
+      const bucket = this._getBucket(provider);
+      const field = kind === 'requests' ? 'serverRpm' : 'serverTpm';
+      if (limit > 0) bucket[field] = limit;
+    });
+  }
+
+  _getBucket(provider) {
+    let bucket = this.buckets.get(provider);
+    if (!bucket) {
+      bucket = {
+        rpm: 0, tpm: 0,                   // 用户配置的上限
+        serverRpm: 0, serverTpm: 0,       // 响应头公布的上限
+        requestTokens: null, tokenTokens: null,
+        lastRefill: Date.now(),
+        pausedUntil: 0
+      };
+      this.buckets.set(provider, bucket);
+    }
+    return bucket;
+  }
+
+  _refill(bucket) {
+    const now = Date.now();
+    const elapsed = now - bucket.lastRefill;
+    bucket.lastRefill = now;
+
+    const rpm = bucket.rpm || bucket.serverRpm;
+    const tpm = bucket.tpm || bucket.serverTpm;
+    // 首次使用或上限变化时以满桶开始
+    bucket.requestTokens = rpm ? Math.min(rpm, (bucket.requestTokens ?? rpm) + elapsed * rpm / 60000) : null;
+    bucket.tokenTokens = tpm ? Math.min(tpm, (bucket.tokenTokens ?? tpm) + elapsed * tpm / 60000) : null;
+    return { rpm, tpm };
+  }
+
+  async _takeFromBucket(provider, tokens) {
+    const bucket = this._getBucket(provider);
+
+    for (;;) {
+      const { rpm, tpm } = this._refill(bucket);
+      // 单次请求超过整个 TPM 时按满桶计，避免永远等不到
+      const cost = tpm ? Math.min(tokens, tpm) : 0;
+      const waits = [bucket.pausedUntil - Date.now()];
+      if (rpm && bucket.requestTokens < 1) {
+        waits.push((1 - bucket.requestTokens) * 60000 / rpm);
+      }
+      if (tpm && bucket.tokenTokens < cost) {
+        waits.push((cost - bucket.tokenTokens) * 60000 / tpm);
+      }
+
+      const wait = Math.max(...waits);
+      if (wait <= 0) {
+        if (rpm) bucket.requestTokens -= 1;
+        if (tpm) bucket.tokenTokens -= cost;
+        return;
+      }
+      await sleep(Math.ceil(wait) + 10);
+    }
+  }
+}
+
+/**
+ * Retry-After：秒数或 HTTP 日期，返回毫秒
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+/**
+ * x-ratelimit-reset-*：OpenAI 风格的时长（"1s"、"6m0s"、"120ms"）或秒数，返回毫秒
+ */
+function parseRateLimitReset(value) {
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(value)) return Number(value) * 1000;
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  let total = 0;
+  let matched = false;
+  value.replace(/(\d+(?:\.\d+)?)(ms|h|m|s)/g, (_, amount, unit) => {
+    total += Number(amount) * units[unit];
+    matched = true;
+    return '';
+  });
+  return matched ? total : null;
+}
+
+/**
+ * 调用 provider 接口并把响应头交给限流器
+ */
+async function providerFetch(provider, url, options) {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (error) {
+    // fetch 只在网络层失败时 reject（HTTP 错误状态不会），标记后由重试策略处理
+    if (!isAbortError(error)) error.isNetworkError = true;
+    throw error;
+  }
+  rateLimiter.observeResponse(provider, response);
+  return response;
 }
 
 const rateLimiter = new RateLimiter(6, 300);
 
 // ==================== 重试机制 ====================
-async function withRetry(fn, maxRetries = 3, baseDelay = 2000) {
-  let lastError;
-  
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
+/**
+ * 重试策略：按 HTTP 状态码区分可重试 / 不可重试，带抖动的指数退避
+ * - maxRetries：首次请求之后最多再试几次
+ * - timeout：单次请求超时（ms），流式响应每收到数据就重新计时
+ * provider 可覆盖默认值，用户在设置中填写的超时 / 重试次数优先
+ */
+const DEFAULT_RETRY_POLICY = { maxRetries: 2, baseDelay: 1000, maxDelay: 20000, timeout: 30000 };
+
+const PROVIDER_RETRY_POLICIES = {
+  google: { timeout: 10000 },
+  ollama: { maxRetries: 1, timeout: 120000 },       // 本地模型首次加载较慢
+  libretranslate: { timeout: 60000 }                // 自建服务多为 CPU 推理
+};
+
+// 超时、限流、网关与服务端临时故障（520-524 为 Cloudflare，529 为 Anthropic 过载）
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504, 520, 521, 522, 523, 524, 529]);
+
+function getRetryPolicy(config) {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...PROVIDER_RETRY_POLICIES[config.provider] };
+  if (config.requestTimeout > 0) policy.timeout = config.requestTimeout * 1000;
+  if (Number.isInteger(config.maxRetries) && config.maxRetries >= 0) policy.maxRetries = config.maxRetries;
+  return policy;
+}
+
+/**
+ * 带状态码的错误，供重试和备用服务判断
+ * 返回 200 但在响应体里报错的接口（百度、有道、腾讯）按等价的 HTTP 状态码填写
+ */
+function createProviderError(message, status) {
+  const error = new Error(message);
+  if (status) error.status = status;
+  return error;
+}
+
+function isRetryableError(error) {
+  if (error.name === 'TimeoutError') return true;
+  if (typeof error.status === 'number') return RETRYABLE_STATUS.has(error.status);
+  // 没有状态码时只重试网络层错误（断网、代理重置连接、DNS 失败等）
+  return error.isNetworkError === true;
+}
+
+function getBackoffDelay(attempt, policy) {
+  // 抖动：在 [cap/2, cap] 内随机，避免多路请求同时重试
+  const cap = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt));
+  return Math.round(cap / 2 + Math.random() * cap / 2);
+}
+
+/**
+ * 单次请求的信号：外部取消或超时都会中止；touch() 重新计时
+ */
+function createAttemptSignal(parentSignal, timeout) {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+
+  const onParentAbort = () => controller.abort();
+  parentSignal?.addEventListener('abort', onParentAbort);
+  if (parentSignal?.aborted) controller.abort();
+
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+  };
+  touch();
+
+  return {
+    signal: controller.signal,
+    touch,
+    isTimedOut: () => timedOut,
+    dispose() {
+      clearTimeout(timer);
+      parentSignal?.removeEventListener('abort', onParentAbort);
+    }
+  };
+}
+
+/**
+ * @param {Function} fn - 接收 { signal, touch, index }，signal 已包含超时，index 为第几次尝试（0 为首次）
+ * @param {object} [policy] - getRetryPolicy() 的结果
+ * @param {AbortSignal} [signal] - 外部取消信号，取消后不再重试
+ */
+async function withRetry(fn, policy = DEFAULT_RETRY_POLICY, signal) {
+  for (let attempt = 0; ; attempt++) {
+    const attemptSignal = createAttemptSignal(signal, policy.timeout);
     try {
-      return await fn();
-    } catch (error) {
-      lastError = error;
+      return await fn({ signal: attemptSignal.signal, touch: attemptSignal.touch, index: attempt });
+    } catch (caught) {
+      let error = caught;
+      if (attemptSignal.isTimedOut()) {
+        // 超时引起的 abort 不是用户取消，换成可重试的超时错误
+        error = new Error(`Request timeout after ${policy.timeout}ms`);
+        error.name = 'TimeoutError';
+      }
 
       // 用户主动取消，不重试
-      if (isAbortError(error)) {
+      if (signal?.aborted || (isAbortError(error) && error.name !== 'TimeoutError')) {
         throw error;
       }
 
-      // 检查是否是限流错误
-      const isRateLimitError = error.message && (
-        error.message.includes('concurrency') ||
-        error.message.includes('rate limit') ||
-        error.message.includes('too many requests') ||
-        error.message.includes('429')
-      );
-
-      if (isRateLimitError && attempt < maxRetries - 1) {
-        // 指数退避
-        const delay = baseDelay * Math.pow(2, attempt);
-        console.log(`[OpenImmerseTranslate] Rate limited, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`);
-        await sleep(delay);
-        continue;
+      if (!isRetryableError(error) || attempt >= policy.maxRetries) {
+        throw error;
       }
 
-      // 其他错误直接抛出
-      if (!isRateLimitError) {
-        throw error;
+      const delay = getBackoffDelay(attempt, policy);
+      console.log(`[OpenImmerseTranslate] ${error.message} (status ${error.status ?? '-'}), retrying in ${delay}ms (attempt ${attempt + 1}/${policy.maxRetries})`);
+      await sleep(delay);
+      if (signal?.aborted) {
+        throw new Error('Request aborted');
       }
+    } finally {
+      attemptSignal.dispose();
     }
   }
-  
-  throw lastError;
 }
 
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// ==================== 熔断器 ====================
+/**
+ * 每个 provider 一个熔断器：
+ * - closed：正常请求；连续 failureThreshold 次故障（网络、超时、5xx）后转为 open
+ * - open：冷却期内直接失败，不再发请求；冷却结束转为 half-open
+ * - half-open：只放行一个探测请求，成功则恢复 closed，失败则重新 open 且冷却时间翻倍
+ * 密钥错误、限流等不算故障：前者重试无用，后者由限流器处理
+ */
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, cooldown = 30000, maxCooldown = 5 * 60 * 1000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldown = cooldown;
+    this.maxCooldown = maxCooldown;
+    this.circuits = new Map();  // provider -> { state, failures, openedAt, currentCooldown, probing }
+  }
+
+  _get(provider) {
+    let circuit = this.circuits.get(provider);
+    if (!circuit) {
+      circuit = { state: 'closed', failures: 0, openedAt: 0, currentCooldown: this.cooldown, probing: false };
+      this.circuits.set(provider, circuit);
+    }
+    return circuit;
+  }
+
+  /**
+   * 请求前调用；熔断中抛出带 503 状态的错误（走备用服务，页面显示为服务暂不可用）
+   */
+  check(provider) {
+    const circuit = this._get(provider);
+    if (circuit.state === 'closed') return;
+
+    const remaining = circuit.openedAt + circuit.currentCooldown - Date.now();
+    if (circuit.state === 'open' && remaining <= 0) {
+      circuit.state = 'half-open';
+    }
+    if (circuit.state === 'half-open' && !circuit.probing) {
+      circuit.probing = true;
+      console.log(`[OpenImmerseTranslate] Circuit half-open for ${provider}, probing`);
+      return;
+    }
+
+    const seconds = Math.max(1, Math.ceil(remaining / 1000));
+    const error = createProviderError(`${provider} circuit open: server error after ${circuit.failures} consecutive failures, retry in ${seconds}s`, 503);
+    error.circuitOpen = true;
+    throw error;
+  }
+
+  recordSuccess(provider) {
+    const circuit = this._get(provider);
+    if (circuit.state !== 'closed') {
+      console.log(`[OpenImmerseTranslate] Circuit closed for ${provider}`);
+    }
+    circuit.state = 'closed';
+    circuit.failures = 0;
+    circuit.probing = false;
+    circuit.currentCooldown = this.cooldown;
+  }
+
+  recordFailure(provider, error) {
+    // 熔断本身抛出的错误不计数，也不能释放正在进行的探测
+    if (error?.circuitOpen) return;
+
+    const circuit = this._get(provider);
+    circuit.probing = false;
+    if (isAbortError(error)) return;
+
+    if (!isCircuitFailure(error)) {
+      // 非故障类错误（如密钥错误）说明服务可达，探测也算成功
+      if (circuit.state === 'half-open') this.recordSuccess(provider);
+      return;
+    }
+
+    circuit.failures++;
+    if (circuit.state === 'half-open') {
+      circuit.currentCooldown = Math.min(this.maxCooldown, circuit.currentCooldown * 2);
+      this._open(provider, circuit);
+    } else if (circuit.failures >= this.failureThreshold) {
+      this._open(provider, circuit);
+    }
+  }
+
+  _open(provider, circuit) {
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+    circuit.probing = false;
+    console.warn(`[OpenImmerseTranslate] Circuit open for ${provider} (${circuit.failures} failures), cooldown ${circuit.currentCooldown}ms`);
+  }
+
+  /**
+   * 供弹窗显示的健康状态
+   * @returns {{state: string, failures: number, retryIn: number}}
+   */
+  getHealth(provider) {
+    const circuit = this._get(provider);
+    const retryIn = circuit.state === 'open'
+      ? Math.max(0, circuit.openedAt + circuit.currentCooldown - Date.now())
+      : 0;
+    return { state: circuit.state, failures: circuit.failures, retryIn };
+  }
+}
+
+// 只有网络层错误、超时和 5xx 说明服务本身不可用
+function isCircuitFailure(error) {
+  if (error.name === 'TimeoutError' || error.isNetworkError) return true;
+  return typeof error.status === 'number' && error.status >= 500;
+}
+
+const circuitBreaker = new CircuitBreaker();
+
 // ==================== In-flight 请求取消管理 ====================
 const inflightControllers = new Map();
 
@@ -240,6 +655,417 @@ function isAbortError(error) {
     (error.message && error.message.toLowerCase().includes('abort')));
 }
 
+// ==================== 翻译缓存（IndexedDB）====================
+/**
+ * 持久化翻译缓存
+ * 键 = SHA-256(provider, model, sourceLang, targetLang, style, promptHash, text)
+ * 淘汰策略：超过 maxAge 的条目直接删除；超过条数/字节上限时优先删除最久未访问的条目
+ */
+const CACHE_DB_NAME = 'oit-translation-cache';
+const CACHE_STORE = 'translations';
+const CACHE_STATS_KEY = 'cacheStats';
+
+class TranslationCache {
+  constructor({ maxEntries = 20000, maxBytes = 20 * 1024 * 1024, maxAge = 30 * 24 * 3600 * 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.maxAge = maxAge;
+    this.dbPromise = null;
+    this.stats = null;            // { hits, misses }，懒加载自 chrome.storage.local
+    this.statsPromise = null;
+    this.statsFlushTimer = null;
+    this.writesSinceEvict = 0;
+    this.lastEvictTime = 0;
+  }
+
+  _open() {
+    if (this.dbPromise) return this.dbPromise;
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(CACHE_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const store = db.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+        store.createIndex('lastAccess', 'lastAccess');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      // 打开失败时允许下次重试，缓存不可用不影响翻译
+      this.dbPromise = null;
+      throw error;
+    });
+    return this.dbPromise;
+  }
+
+  _loadStats() {
+    // 缓存加载中的 Promise：SW 刚唤醒时并发的请求共用同一个对象，计数不会被后到的读取覆盖
+    if (this.statsPromise) return this.statsPromise;
+    this.statsPromise = chrome.storage.local.get(CACHE_STATS_KEY).then((result) => {
+      this.stats = { hits: 0, misses: 0, ...(result[CACHE_STATS_KEY] || {}) };
+      return this.stats;
+    }).catch((error) => {
+      this.statsPromise = null;
+      throw error;
+    });
+    return this.statsPromise;
+  }
+
+  async _recordStats(hits, misses) {
+    const stats = await this._loadStats();
+    stats.hits += hits;
+    stats.misses += misses;
+    // 合并写入，避免每个请求都写 storage
+    if (!this.statsFlushTimer) {
+      this.statsFlushTimer = setTimeout(() => {
+        this.statsFlushTimer = null;
+        chrome.storage.local.set({ [CACHE_STATS_KEY]: this.stats }).catch(() => {});
+      }, 1000);
+    }
+  }
+
+  /**
+   * 生成一组文本的缓存键
+   * @param {string[]} texts
+   * @param {object} config - 翻译配置
+   * @returns {Promise<string[]>}
+   */
+  async buildKeys(texts, config) {
+    // 机器翻译不使用提示词，改用各自的翻译选项区分
+    // 上下文和本批命中的术语每批不同，不计入提示词哈希，否则缓存很难命中；术语表改为按整表签名区分
+    const promptHash = isMachineTranslationProvider(config.provider)
+      ? getMachineTranslationOptionsKey(config)
+      : await sha256Hex(buildSystemPrompt({ ...config, pageContext: null, glossary: null }));
+    const prefix = JSON.stringify([
+      config.provider || '',
+      config.modelName || '',
+      config.sourceLang || 'auto',
+      config.targetLang || '',
+      config.translationStyle || '',
+      promptHash,
+      config.glossarySignature || '',
+      (config.protectedPatterns || []).join('\n')
+    ]);
+    return Promise.all(texts.map(text => sha256Hex(`${prefix}\n${text}`)));
+  }
+
+  /**
+   * 批量读取，未命中的位置为 undefined
+   * @param {string[]} keys
+   * @returns {Promise<Array<string|undefined>>}
+   */
+  async getMany(keys) {
+    const db = await this._open();
+    const now = Date.now();
+    const results = await new Promise((resolve, reject) => {
+      const tx = db.transaction(CACHE_STORE, 'readwrite');
+      const store = tx.objectStore(CACHE_STORE);
+      const out = new Array(keys.length).fill(undefined);
+      keys.forEach((key, i) => {
+        const req = store.get(key);
+        req.onsuccess = () => {
+          const entry = req.result;
+          if (!entry) return;
+          if (now - entry.createdAt > this.maxAge) {
+            store.delete(key);
+            return;
+          }
+          out[i] = entry.translation;
+          // 刷新访问时间（LRU）
+          entry.lastAccess = now;
+          store.put(entry);
+        };
+      });
+      tx.oncomplete = () => resolve(out);
+      tx.onerror = () => reject(tx.error);
+    });
+
+    const hits = results.filter(r => r !== undefined).length;
+    this._recordStats(hits, keys.length - hits).catch(() => {});
+    return results;
+  }
+
+  /**
+   * 批量写入
+   * @param {Array<{key: string, translation: string}>} entries
+   */
+  async putMany(entries) {
+    if (!entries.length) return;
+    const db = await this._open();
+    const now = Date.now();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(CACHE_STORE, 'readwrite');
+      const store = tx.objectStore(CACHE_STORE);
+      for (const { key, translation } of entries) {
+        store.put({
+          key,
+          translation,
+          size: key.length + translation.length * 2,
+          createdAt: now,
+          lastAccess: now
+        });
+      }
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+
+    this.writesSinceEvict += entries.length;
+    // 节流：每 200 次写入或 10 分钟检查一次淘汰
+    if (this.writesSinceEvict >= 200 || now - this.lastEvictTime > 10 * 60 * 1000) {
+      this.writesSinceEvict = 0;
+      this.lastEvictTime = now;
+      this.evict().catch(error => console.warn('[OpenImmerseTranslate] Cache eviction failed:', error));
+    }
+  }
+
+  /**
+   * 淘汰过期与超限条目：从最近访问向最早访问遍历，累计条数和字节数
+   */
+  async evict() {
+    const db = await this._open();
+    const now = Date.now();
+    let removed = 0;
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(CACHE_STORE, 'readwrite');
+      const index = tx.objectStore(CACHE_STORE).index('lastAccess');
+      let count = 0;
+      let bytes = 0;
+      index.openCursor(null, 'prev').onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        const entry = cursor.value;
+        count++;
+        bytes += entry.size || 0;
+        if (now - entry.createdAt > this.maxAge || count > this.maxEntries || bytes > this.maxBytes) {
+          cursor.delete();
+          removed++;
+        }
+        cursor.continue();
+      };
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+    if (removed > 0) {
+      console.log(`[OpenImmerseTranslate] Cache evicted ${removed} entries`);
+    }
+  }
+
+  async getStats() {
+    const db = await this._open();
+    const stats = await this._loadStats();
+    const { entries, bytes } = await new Promise((resolve, reject) => {
+      const tx = db.transaction(CACHE_STORE, 'readonly');
+      let entries = 0;
+      let bytes = 0;
+      tx.objectStore(CACHE_STORE).openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        entries++;
+        bytes += cursor.value.size || 0;
+        cursor.continue();
+      };
+      tx.oncomplete = () => resolve({ entries, bytes });
+      tx.onerror = () => reject(tx.error);
+    });
+    return { entries, bytes, hits: stats.hits, misses: stats.misses };
+  }
+
+  async clear() {
+    const db = await this._open();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(CACHE_STORE, 'readwrite');
+      tx.objectStore(CACHE_STORE).clear();
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+    this.stats = { hits: 0, misses: 0 };
+    this.statsPromise = Promise.resolve(this.stats);
+    await chrome.storage.local.set({ [CACHE_STATS_KEY]: this.stats });
+  }
+}
+
+const translationCache = new TranslationCache();
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// ==================== 用量与费用统计 ====================
+/**
+ * 按 日期 / provider / 模型 / 站点 记录 token 用量，存放在 chrome.storage.local
+ * usageStats = { 'YYYY-MM-DD': { 'provider|model|site': { input, output, requests } } }
+ * 费用在读取时按价格表计算，修改价格后历史数据也随之更新
+ */
+const USAGE_STATS_KEY = 'usageStats';
+const PRICE_TABLE_KEY = 'priceTable';
+const USAGE_RETENTION_DAYS = 93;
+
+// 参考价格（美元 / 百万 token），按模型名前缀匹配，最长前缀优先；用户可在设置中修改
+const DEFAULT_PRICE_TABLE = [
+  { model: 'gpt-4o-mini', input: 0.15, output: 0.6 },
+  { model: 'gpt-4o', input: 2.5, output: 10 },
+  { model: 'gpt-4.1-nano', input: 0.1, output: 0.4 },
+  { model: 'gpt-4.1-mini', input: 0.4, output: 1.6 },
+  { model: 'gpt-4.1', input: 2, output: 8 },
+  { model: 'deepseek-chat', input: 0.27, output: 1.1 },
+  { model: 'claude-3-haiku', input: 0.25, output: 1.25 },
+  { model: 'claude-3-5-haiku', input: 0.8, output: 4 },
+  { model: 'claude-3-5-sonnet', input: 3, output: 15 },
+  { model: 'claude-sonnet-4', input: 3, output: 15 },
+  { model: 'gemini-2.0-flash', input: 0.1, output: 0.4 },
+  { model: 'gemini-2.5-flash', input: 0.3, output: 2.5 },
+  { model: 'moonshot-v1-8k', input: 1.7, output: 1.7 },
+  { model: 'glm-4-flash', input: 0, output: 0 }
+];
+
+function createUsage() {
+  return { inputTokens: 0, outputTokens: 0 };
+}
+
+function addUsage(usage, inputTokens, outputTokens) {
+  if (!usage) return;
+  usage.inputTokens += inputTokens || 0;
+  usage.outputTokens += outputTokens || 0;
+}
+
+function formatLocalDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function getSiteFromUrl(url) {
+  try {
+    return new URL(url).hostname || 'unknown';
+  } catch (e) {
+    return 'unknown';
+  }
+}
+
+class UsageTracker {
+  constructor() {
+    this.stats = null;            // 懒加载自 chrome.storage.local
+    this.statsPromise = null;
+    this.flushTimer = null;
+  }
+
+  _loadStats() {
+    // 与 TranslationCache 相同：并发批次共用同一次读取，避免后到的结果覆盖已记录的用量
+    if (this.statsPromise) return this.statsPromise;
+    this.statsPromise = chrome.storage.local.get(USAGE_STATS_KEY).then((result) => {
+      this.stats = result[USAGE_STATS_KEY] || {};
+      return this.stats;
+    }).catch((error) => {
+      this.statsPromise = null;
+      throw error;
+    });
+    return this.statsPromise;
+  }
+
+  /**
+   * 记录一次请求的用量
+   * @param {object} config - 实际发请求的 provider 配置
+   * @param {{inputTokens: number, outputTokens: number}} usage
+   * @param {string} site - 页面域名
+   */
+  async record(config, usage, site) {
+    if (!usage || (usage.inputTokens === 0 && usage.outputTokens === 0)) return;
+
+    const stats = await this._loadStats();
+    const day = formatLocalDate(new Date());
+    const key = `${config.provider}|${config.modelName || ''}|${site || 'unknown'}`;
+    const dayStats = stats[day] || (stats[day] = {});
+    const entry = dayStats[key] || (dayStats[key] = { input: 0, output: 0, requests: 0 });
+    entry.input += usage.inputTokens;
+    entry.output += usage.outputTokens;
+    entry.requests++;
+
+    // 合并写入，避免每个请求都写 storage
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this._prune();
+        chrome.storage.local.set({ [USAGE_STATS_KEY]: this.stats }).catch(() => {});
+      }, 1000);
+    }
+  }
+
+  _prune() {
+    const cutoff = formatLocalDate(new Date(Date.now() - USAGE_RETENTION_DAYS * 24 * 3600 * 1000));
+    Object.keys(this.stats).forEach(day => {
+      if (day < cutoff) delete this.stats[day];
+    });
+  }
+
+  async getPriceTable() {
+    const result = await chrome.storage.local.get(PRICE_TABLE_KEY);
+    return Array.isArray(result[PRICE_TABLE_KEY]) ? result[PRICE_TABLE_KEY] : DEFAULT_PRICE_TABLE;
+  }
+
+  async setPriceTable(table) {
+    const cleaned = (Array.isArray(table) ? table : [])
+      .map(row => ({
+        model: String(row?.model || '').trim().toLowerCase(),
+        input: Number(row?.input),
+        output: Number(row?.output)
+      }))
+      .filter(row => row.model && row.input >= 0 && row.output >= 0);
+    // 空表视为恢复默认价格
+    if (cleaned.length === 0) {
+      await chrome.storage.local.remove(PRICE_TABLE_KEY);
+      return DEFAULT_PRICE_TABLE;
+    }
+    await chrome.storage.local.set({ [PRICE_TABLE_KEY]: cleaned });
+    return cleaned;
+  }
+
+  /**
+   * 今日与本月的 token 数和费用（美元）
+   */
+  async getSummary() {
+    const stats = await this._loadStats();
+    const priceTable = await this.getPriceTable();
+    const today = formatLocalDate(new Date());
+    const month = today.slice(0, 7);
+    const summary = {
+      today: { inputTokens: 0, outputTokens: 0, cost: 0 },
+      month: { inputTokens: 0, outputTokens: 0, cost: 0 }
+    };
+
+    Object.entries(stats).forEach(([day, dayStats]) => {
+      if (!day.startsWith(month)) return;
+      Object.entries(dayStats).forEach(([key, entry]) => {
+        const model = key.split('|')[1];
+        const cost = calculateCost(priceTable, model, entry.input, entry.output);
+        const targets = day === today ? [summary.today, summary.month] : [summary.month];
+        targets.forEach(target => {
+          target.inputTokens += entry.input;
+          target.outputTokens += entry.output;
+          target.cost += cost;
+        });
+      });
+    });
+
+    return summary;
+  }
+
+  async clear() {
+    this.stats = {};
+    this.statsPromise = Promise.resolve(this.stats);
+    await chrome.storage.local.set({ [USAGE_STATS_KEY]: this.stats });
+  }
+}
+
+function calculateCost(priceTable, model, inputTokens, outputTokens) {
+  const name = (model || '').toLowerCase();
+  const price = priceTable
+    .filter(row => name.startsWith(row.model))
+    .sort((a, b) => b.model.length - a.model.length)[0];
+  if (!price) return 0;
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+const usageTracker = new UsageTracker();
+
 // ==================== 消息监听 ====================
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   const tabId = sender.tab?.id;
@@ -249,8 +1075,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     try {
       switch (message.action) {
         case 'translate':
-          const translations = await handleTranslate(message.texts, message.config, message.requestId);
-          sendResponse(translations === null ? { cancelled: true } : { translations });
+          const result = await handleTranslate(
+            message.texts, message.config, message.requestId, undefined, getSiteFromUrl(sender.tab?.url)
+          );
+          sendResponse(result === null ? { cancelled: true } : result);
           break;
 
         case 'abortRequest':
@@ -262,6 +1090,55 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           const testResult = await handleTestApi(message.config);
           sendResponse(testResult);
           break;
+
+        case 'listModels':
+          sendResponse(await handleListModels(message.config));
+          break;
+
+        case 'previewPrompt':
+          sendResponse(await handlePreviewPrompt(message.config, message.text));
+          break;
+
+        // 术语表
+        case 'getGlossary':
+          sendResponse({ glossary: await glossaryStore.get(message.scope) });
+          break;
+
+        case 'setGlossary':
+          sendResponse({ glossary: await glossaryStore.set(message.scope, message.glossary) });
+          break;
+
+        // 翻译缓存
+        case 'getCacheStats':
+          sendResponse(await translationCache.getStats());
+          break;
+
+        case 'clearCache':
+          await translationCache.clear();
+          sendResponse({ success: true });
+          break;
+
+        // 用量与费用
+        case 'getUsageSummary':
+          sendResponse(await usageTracker.getSummary());
+          break;
+
+        case 'getPriceTable':
+          sendResponse({ priceTable: await usageTracker.getPriceTable() });
+          break;
+
+        case 'setPriceTable':
+          sendResponse({ priceTable: await usageTracker.setPriceTable(message.priceTable) });
+          break;
+
+        case 'clearUsage':
+          await usageTracker.clear();
+          sendResponse({ success: true });
+          break;
+
+        case 'getProviderHealth':
+          sendResponse(circuitBreaker.getHealth(message.provider));
+          break;
         
         // Tab 状态管理
         case 'updateTabState':
@@ -322,68 +1199,437 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
-// ==================== 翻译处理 ====================
-async function handleTranslate(texts, config, requestId) {
-  if (!texts || texts.length === 0) {
-    return [];
-  }
+// ==================== 流式翻译（Port）====================
+/**
+ * 内容脚本通过长连接请求流式翻译：
+ *   → { action: 'translate', requestId, texts, config }
+ *   ← { type: 'partial', translations } ... { type: 'done', translations, provider } | { type: 'cancelled' | 'error' }
+ * 连接断开（页面关闭/停止翻译）时取消对应请求
+ */
+const STREAM_PORT_NAME = 'oit-translate-stream';
 
-  rateLimiter.applyConfig(config);
-  const controller = createRequestController(requestId);
-  const signal = controller?.signal;
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== STREAM_PORT_NAME) return;
 
-  // Google 翻译使用单独的处理流程
-  if (config.provider === 'google') {
+  let requestId = null;
+  let disconnected = false;
+
+  const post = (message) => {
+    if (disconnected) return;
     try {
-      return await handleGoogleTranslate(texts, config, signal);
-    } finally {
-      removeRequestController(requestId);
+      port.postMessage(message);
+    } catch (e) {
+      disconnected = true;
     }
-  }
+  };
 
-  // 使用限流器
-  await rateLimiter.acquire();
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    if (requestId) abortRequest(requestId);
+  });
+
+  port.onMessage.addListener(async (message) => {
+    if (message?.action !== 'translate') return;
+    requestId = message.requestId;
+
+    try {
+      const result = await handleTranslate(
+        message.texts,
+        message.config,
+        message.requestId,
+        (partial) => post({ type: 'partial', translations: partial }),
+        getSiteFromUrl(port.sender?.tab?.url)
+      );
+      post(result === null ? { type: 'cancelled' } : { type: 'done', ...result });
+    } catch (error) {
+      console.error('[OpenImmerseTranslate] Stream error:', error);
+      post({ type: 'error', error: error.message });
+    }
+  });
+});
+
+// ==================== 翻译处理 ====================
+/**
+ * @param {string[]} texts
+ * @param {object} config
+ * @param {string} [requestId] - 用于取消
+ * @param {Function} [onPartial] - 流式回调，参数为与 texts 对齐的部分译文数组
+ * @param {string} [site] - 页面域名，用于用量统计
+ * @returns {Promise<{translations: string[], provider: string, detectedLanguage?: string}|null>} provider 为实际完成翻译的服务，取消时返回 null
+ */
+async function handleTranslate(texts, config, requestId, onPartial, site) {
+  if (!texts || texts.length === 0) {
+    return { translations: [], provider: config.provider };
+  }
+
+  rateLimiter.applyConfig(config);
+  const controller = createRequestController(requestId);
+  const signal = controller?.signal;
+
+  try {
+    const resolvedConfig = await applyGlossary(await applyPromptTemplate(config, site), texts, site);
+    return await translateWithFallback(texts, resolvedConfig, signal, onPartial, site);
+  } catch (error) {
+    if (isAbortError(error)) {
+      return null; // 取消标记
+    }
+    throw error;
+  } finally {
+    removeRequestController(requestId);
+  }
+}
+
+// ==================== 备用服务链 ====================
+/**
+ * 依次尝试主服务和备用服务，只有限流、额度/余额不足、服务端故障才切换
+ */
+async function translateWithFallback(texts, config, signal, onPartial, site) {
+  const chain = await buildProviderChain(config);
+
+  for (let i = 0; i < chain.length; i++) {
+    const providerConfig = chain[i];
+    // 附加信息（如 LibreTranslate 检测到的源语言），由 provider 调用函数填写；usage 只用于统计，不返回给页面
+    const meta = { usage: createUsage() };
+    try {
+      circuitBreaker.check(providerConfig.provider);
+      const translations = providerConfig.enableCache === false
+        ? await translateAligned(texts, providerConfig, signal, onPartial, meta)
+        : await translateWithCache(texts, providerConfig, signal, onPartial, meta);
+      circuitBreaker.recordSuccess(providerConfig.provider);
+      const { usage, ...info } = meta;
+      return { translations, provider: providerConfig.provider, ...info };
+    } catch (error) {
+      circuitBreaker.recordFailure(providerConfig.provider, error);
+      if (isAbortError(error)) throw error;
+
+      const reason = getFallbackReason(error);
+      const next = chain[i + 1];
+      if (!reason || !next) throw error;
+
+      console.warn(`[OpenImmerseTranslate] ${providerConfig.provider} failed (${reason}), falling back to ${next.provider}:`, error.message);
+    } finally {
+      // 失败的请求（如条数修复前的批次）同样计费
+      usageTracker.record(providerConfig, meta.usage, site).catch(error => {
+        console.warn('[OpenImmerseTranslate] Usage record failed:', error);
+      });
+    }
+  }
+}
+
+/**
+ * 组装服务链：主服务在前，备用服务使用各自保存的 endpoint / key / model
+ * 未配置 API Key 的备用服务直接跳过
+ */
+async function buildProviderChain(config) {
+  const fallbackIds = (Array.isArray(config.fallbackProviders) ? config.fallbackProviders : [])
+    .filter((id, index, list) => id !== config.provider && PROVIDER_DEFAULTS_SW[id] && list.indexOf(id) === index);
+  if (fallbackIds.length === 0) return [config];
+
+  const result = await chrome.storage.sync.get(['providerConfigs']);
+  const providerConfigs = result.providerConfigs || {};
+  const chain = [config];
+
+  for (const id of fallbackIds) {
+    const saved = providerConfigs[id] || {};
+    const defaults = PROVIDER_DEFAULTS_SW[id];
+    if (defaults.needsApiKey && !saved.apiKey) continue;
+    if (checkNeedsAppId(id) && !saved.appId) continue;
+
+    chain.push({ ...config, ...getProviderRuntimeConfig(id, saved) });
+  }
+
+  return chain;
+}
+
+/**
+ * 判断错误是否值得换服务重试
+ * 分类规则与 shared/providers.js 中的 parseTranslationError 保持一致（密钥错误不切换）
+ */
+function getFallbackReason(error) {
+  const status = error?.status;
+  if (status === 401 || status === 403) return null;
+  if (status === 429) return 'errorRateLimit';
+  if (status === 402) return 'errorInsufficientBalance';
+  if (status >= 500) return 'errorServerError';
+
+  const msg = (error?.message || '').toLowerCase();
+
+  if (msg.includes('invalid api key') || msg.includes('incorrect api key') ||
+      msg.includes('authentication') || msg.includes('unauthorized') ||
+      msg.includes('401') || msg.includes('api key') || msg.includes('apikey')) {
+    return null;
+  }
+  if (msg.includes('429') || msg.includes('rate limit') ||
+      msg.includes('too many requests') || msg.includes('concurrency')) {
+    return 'errorRateLimit';
+  }
+  if (msg.includes('quota') || msg.includes('exceeded')) {
+    return 'errorQuotaExceeded';
+  }
+  if (msg.includes('balance') || msg.includes('insufficient') ||
+      msg.includes('suspended') || msg.includes('billing')) {
+    return 'errorInsufficientBalance';
+  }
+  // 服务不可达或挂起（含单次请求超时）正是需要换服务的情况
+  if (msg.includes('network') || msg.includes('failed to fetch') ||
+      msg.includes('connection') || msg.includes('econnrefused')) {
+    return 'errorNetworkFailed';
+  }
+  if (error?.name === 'TimeoutError' || msg.includes('timeout')) {
+    return 'errorTimeout';
+  }
+  if (msg.includes('500') || msg.includes('502') || msg.includes('503') ||
+      msg.includes('server error')) {
+    return 'errorServerError';
+  }
+  return null;
+}
+
+/**
+ * 先查缓存，只把未命中的文本交给 provider，结果按原顺序合并
+ */
+async function translateWithCache(texts, config, signal, onPartial, meta) {
+  let keys;
+  let cached;
+  try {
+    keys = await translationCache.buildKeys(texts, config);
+    cached = await translationCache.getMany(keys);
+  } catch (error) {
+    // 缓存不可用时直接走 provider
+    console.warn('[OpenImmerseTranslate] Cache unavailable:', error);
+    return translateAligned(texts, config, signal, onPartial, meta);
+  }
+
+  const missIndexes = [];
+  cached.forEach((translation, i) => {
+    if (translation === undefined) missIndexes.push(i);
+  });
+  if (missIndexes.length === 0) {
+    return cached;
+  }
+
+  // 流式部分结果只覆盖未命中的文本，命中的直接带上
+  const onMissPartial = onPartial && ((partial) => {
+    const merged = cached.slice();
+    missIndexes.forEach((textIndex, i) => {
+      merged[textIndex] = partial[i];
+    });
+    onPartial(merged);
+  });
+
+  const fresh = await translateAligned(missIndexes.map(i => texts[i]), config, signal, onMissPartial, meta);
+  const results = cached.slice();
+  const toStore = [];
+
+  missIndexes.forEach((textIndex, i) => {
+    const translation = fresh[i];
+    results[textIndex] = translation;
+    if (translation && translation !== texts[textIndex]) {
+      toStore.push({ key: keys[textIndex], translation });
+    }
+  });
+
+  translationCache.putMany(toStore).catch(error => {
+    console.warn('[OpenImmerseTranslate] Cache write failed:', error);
+  });
+
+  return results;
+}
+
+// ==================== 条数校验与修复 ====================
+/**
+ * 调用 provider 并保证译文与原文一一对应
+ * 批次返回条数不符时不按位置硬套（会把下一段的译文套到标题上），
+ * 而是逐条重新翻译；修复情况写入 meta.repaired 供页面日志输出
+ */
+async function translateAligned(texts, config, signal, onPartial, meta) {
+  const translations = await translateWithProvider(texts, config, signal, onPartial, meta);
+  if (translations.length === texts.length) {
+    return translations;
+  }
+
+  console.warn(`[OpenImmerseTranslate] Batch count mismatch (${config.provider}): expected ${texts.length}, got ${translations.length}`);
+  meta.repaired = { expected: texts.length, received: translations.length };
+
+  if (texts.length === 1) {
+    // 单条被模型拆成多段时合并；空结果留空，由页面稍后重试
+    return [translations.join('\n')];
+  }
+
+  // 逐条重试，顺序执行以遵守限流
+  const results = [];
+  for (const text of texts) {
+    const single = await translateWithProvider([text], config, signal, undefined, meta);
+    results.push(single.join('\n'));
+  }
+  return results;
+}
+
+/**
+ * 不翻译的片段换成占位符后再请求，译文换回原文并校验占位符是否完整；
+ * 占位符丢失或重复的条目去掉保护单独重译，宁可让模型看到原文也不输出残缺的译文
+ */
+async function translateWithProvider(texts, config, signal, onPartial, meta) {
+  const batch = protectWithPlaceholders(texts, getPlaceholderRules(config));
+  if (batch.count === 0) {
+    return callTranslationProvider(texts, config, signal, onPartial, meta);
+  }
+
+  const raw = await callTranslationProvider(
+    batch.texts,
+    { ...config, hasPlaceholders: true },
+    signal,
+    onPartial && ((partial) => onPartial(batch.restore(partial))),
+    meta
+  );
+  // 条数不符时由 translateAligned 逐条重译，这里不做校验
+  if (raw.length !== texts.length) return batch.restore(raw);
+
+  const results = batch.restore(raw);
+  const broken = batch.findBroken(raw);
+  if (broken.length > 0) {
+    console.warn(`[OpenImmerseTranslate] Placeholders damaged by ${config.provider} in ${broken.length} text(s), retrying without protection`);
+    const unprotected = { ...config, protectedPatterns: [], glossaryTerms: [] };
+    for (const index of broken) {
+      const single = await callTranslationProvider([texts[index]], unprotected, signal, undefined, meta);
+      results[index] = single.join('\n');
+    }
+  }
+  return results;
+}
+
+async function callTranslationProvider(texts, config, signal, onPartial, meta) {
+  rateLimiter.setProviderLimits(config.provider, config.rpmLimit, config.tpmLimit);
+
+  // Google 翻译使用单独的处理流程
+  if (config.provider === 'google') {
+    return handleGoogleTranslate(texts, config, signal, meta);
+  }
+
+  if (MT_API_CALLERS[config.provider]) {
+    return handleBatchMachineTranslate(texts, config, signal, meta);
+  }
+
+  // 使用限流器（TPM 按输入 + 预计输出计）
+  const requestConfig = { ...config, maxTokens: resolveMaxTokens(texts, config) };
+  const requestTokens = estimateRequestTokens(texts);
+  await rateLimiter.acquire(config.provider, requestTokens);
 
   try {
     // 带重试的翻译请求
-    return await withRetry(async () => {
+    return await withRetry(async (attempt) => {
+      await rateLimiter.acquireAttempt(config.provider, requestTokens, attempt.index);
       if (signal?.aborted) {
         throw new Error('Request aborted');
       }
+      // 结构化输出按 id 对齐结果，不做流式渲染
+      const structured = isStructuredOutputEnabled(config) ? { count: texts.length } : null;
       const systemPrompt = buildSystemPrompt(config);
-      const userPrompt = buildUserPrompt(texts);
+      const userPrompt = structured ? buildStructuredUserPrompt(texts) : buildUserPrompt(texts);
+      // 流式输出持续到达时不算超时
+      const partialHandler = structured || !onPartial ? undefined : (partial) => {
+        attempt.touch();
+        onPartial(partial);
+      };
 
       switch (config.provider) {
         case 'anthropic':
-          return await callAnthropicApi(systemPrompt, userPrompt, config, signal);
+          return await callAnthropicApi(systemPrompt, userPrompt, requestConfig, attempt.signal, partialHandler, structured, meta?.usage);
+        case 'gemini':
+          return await callGeminiApi(systemPrompt, userPrompt, requestConfig, attempt.signal, partialHandler, structured, meta?.usage);
         case 'ollama':
-          return await callOllamaApi(systemPrompt, userPrompt, config, signal);
+          return await callOllamaApi(systemPrompt, userPrompt, requestConfig, attempt.signal, partialHandler, structured, meta?.usage);
         default:
-          return await callOpenAICompatibleApi(systemPrompt, userPrompt, config, signal);
+          return await callOpenAICompatibleApi(systemPrompt, userPrompt, requestConfig, attempt.signal, partialHandler, structured, meta?.usage);
       }
-    });
-  } catch (error) {
-    if (isAbortError(error)) {
-      return null; // 取消标记
-    }
-    throw error;
+    }, getRetryPolicy(config), signal);
   } finally {
-    removeRequestController(requestId);
     rateLimiter.release();
   }
 }
 
 // ==================== Google 翻译 ====================
-async function handleGoogleTranslate(texts, config, signal) {
-  const results = [];
+// 单次批量请求的字符上限（POST 表单，留足余量）
+const GOOGLE_BATCH_MAX_CHARS = 5000;
+
+/**
+ * 整批文本用 translate_a/t 一次请求翻译，失败或条数不符时退回逐条请求
+ */
+async function handleGoogleTranslate(texts, config, signal, meta) {
   const sourceLang = config.sourceLang || 'auto';
   const targetLang = convertToGoogleLangCode(config.targetLang);
+  const results = [];
+
+  for (const chunk of chunkTextsByLength(texts, GOOGLE_BATCH_MAX_CHARS)) {
+    if (signal?.aborted) {
+      throw new Error('Request aborted');
+    }
+    results.push(...await translateGoogleChunk(chunk, sourceLang, targetLang, config, signal, meta));
+  }
+
+  return results;
+}
+
+function chunkTextsByLength(texts, maxChars) {
+  const chunks = [];
+  let current = [];
+  let length = 0;
+  texts.forEach(text => {
+    if (current.length > 0 && length + text.length > maxChars) {
+      chunks.push(current);
+      current = [];
+      length = 0;
+    }
+    current.push(text);
+    length += text.length;
+  });
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+async function translateGoogleChunk(texts, sourceLang, targetLang, config, signal, meta) {
+  const requestTokens = estimateRequestTokens(texts);
+  await rateLimiter.acquire('google', requestTokens);
+  try {
+    const result = await withRetry(
+      async (attempt) => {
+        await rateLimiter.acquireAttempt('google', requestTokens, attempt.index);
+        return callGoogleTranslateBatchApi(texts, sourceLang, targetLang, attempt.signal);
+      },
+      getRetryPolicy(config),
+      signal
+    );
+    if (result.translations.length === texts.length) {
+      if (result.detectedLanguage && meta) meta.detectedLanguage = result.detectedLanguage;
+      return result.translations;
+    }
+    console.warn(`[OpenImmerseTranslate] Google batch count mismatch: expected ${texts.length}, got ${result.translations.length}`);
+  } catch (error) {
+    if (signal?.aborted || isAbortError(error)) throw error;
+    console.warn('[OpenImmerseTranslate] Google batch failed, falling back to per-text requests:', error.message);
+  } finally {
+    rateLimiter.release();
+  }
+
+  return translateGoogleOneByOne(texts, sourceLang, targetLang, config, signal);
+}
+
+async function translateGoogleOneByOne(texts, sourceLang, targetLang, config, signal) {
+  const results = [];
 
   for (const text of texts) {
     if (signal?.aborted) break;
-    await rateLimiter.acquire();
+    const requestTokens = estimateRequestTokens([text]);
+    await rateLimiter.acquire('google', requestTokens);
     try {
-      const translation = await callGoogleTranslateApi(text, sourceLang, targetLang, signal);
+      const translation = await withRetry(
+        async (attempt) => {
+          await rateLimiter.acquireAttempt('google', requestTokens, attempt.index);
+          return callGoogleTranslateApi(text, sourceLang, targetLang, attempt.signal);
+        },
+        getRetryPolicy(config),
+        signal
+      );
       results.push(translation);
     } catch (error) {
       if (isAbortError(error)) break;
@@ -429,11 +1675,54 @@ function convertToGoogleLangCode(langCode) {
   return mapping[langCode] || langCode;
 }
 
-// 调用 Google 翻译 API（免费版）
+/**
+ * Google 翻译批量接口（免费版）：多个 q 参数一次提交
+ * 响应格式：sl=auto 时为 [["译文","en"], ...]，指定源语言时为 ["译文", ...]；
+ * 只有一条时可能是 "译文" 或 ["译文","en"]
+ */
+async function callGoogleTranslateBatchApi(texts, sourceLang, targetLang, signal) {
+  const url = `https://translate.googleapis.com/translate_a/t?client=gtx&sl=${sourceLang}&tl=${targetLang}`;
+  const body = new URLSearchParams();
+  texts.forEach(text => body.append('q', text));
+
+  const response = await providerFetch('google', url, {
+    method: 'POST',
+    signal,
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8' },
+    body: body.toString()
+  });
+
+  if (!response.ok) {
+    throw createProviderError(`Google Translate API error: ${response.status}`, response.status);
+  }
+
+  return parseGoogleBatchResponse(await response.json(), texts.length);
+}
+
+function parseGoogleBatchResponse(data, count) {
+  if (typeof data === 'string') {
+    return { translations: [data] };
+  }
+  if (!Array.isArray(data)) {
+    return { translations: [] };
+  }
+  if (count === 1 && typeof data[0] === 'string') {
+    return { translations: [data[0]], detectedLanguage: typeof data[1] === 'string' ? data[1] : undefined };
+  }
+
+  const translations = data.map(item => {
+    const translation = Array.isArray(item) ? item[0] : item;
+    return typeof translation === 'string' ? translation : '';
+  });
+  const detected = data.find(item => Array.isArray(item) && typeof item[1] === 'string');
+  return { translations, detectedLanguage: detected?.[1] };
+}
+
+// 调用 Google 翻译 API（免费版，单条）
 async function callGoogleTranslateApi(text, sourceLang, targetLang, signal) {
   const url = `https://translate.googleapis.com/translate_a/single?client=gtx&sl=${sourceLang}&tl=${targetLang}&dt=t&q=${encodeURIComponent(text)}`;
 
-  const response = await fetch(url, {
+  const response = await providerFetch('google', url, {
     method: 'GET',
     signal,
     headers: {
@@ -442,7 +1731,7 @@ async function callGoogleTranslateApi(text, sourceLang, targetLang, signal) {
   });
   
   if (!response.ok) {
-    throw new Error(`Google Translate API error: ${response.status}`);
+    throw createProviderError(`Google Translate API error: ${response.status}`, response.status);
   }
   
   const data = await response.json();
@@ -456,10 +1745,890 @@ async function callGoogleTranslateApi(text, sourceLang, targetLang, signal) {
         translation += part[0];
       }
     }
-    return translation || text;
+    return translation || text;
+  }
+  
+  return text;
+}
+
+// ==================== 机器翻译 provider ====================
+// 不走 LLM 提示词的 provider：不支持流式，缓存键按翻译选项区分
+// 除 Google 外都是一次请求翻译整个批次，调用函数签名为 (texts, config, signal, meta) => string[]
+const MT_API_CALLERS = {
+  deepl: callDeepLApi,
+  baidu: callBaiduApi,
+  youdao: callYoudaoApi,
+  tencent: callTencentApi,
+  libretranslate: callLibreTranslateApi
+};
+
+function isMachineTranslationProvider(provider) {
+  return provider === 'google' || !!MT_API_CALLERS[provider];
+}
+
+async function handleBatchMachineTranslate(texts, config, signal, meta) {
+  const requestTokens = estimateRequestTokens(texts);
+  await rateLimiter.acquire(config.provider, requestTokens);
+  try {
+    return await withRetry(async (attempt) => {
+      await rateLimiter.acquireAttempt(config.provider, requestTokens, attempt.index);
+      return MT_API_CALLERS[config.provider](texts, config, attempt.signal, meta);
+    }, getRetryPolicy(config), signal);
+  } finally {
+    rateLimiter.release();
+  }
+}
+
+function getMachineTranslationOptionsKey(config) {
+  switch (config.provider) {
+    case 'deepl':
+      return [config.deeplFormality || 'default', config.deeplGlossaryId || ''].join('|');
+    default:
+      return '';
+  }
+}
+
+// ==================== DeepL ====================
+const DEEPL_FREE_ENDPOINT = 'https://api-free.deepl.com/v2/translate';
+const DEEPL_PRO_ENDPOINT = 'https://api.deepl.com/v2/translate';
+
+/**
+ * Convert internal language codes to DeepL API codes.
+ * 
+ * DeepL distinguishes source and target codes: targets need a regional
+ * variant for English / Portuguese and a script variant for Chinese.
+ * Languages missing from the table are not supported by DeepL.
+ * 
+ * Ref: https://developers.deepl.com/docs/resources/supported-languages
+ */
+function convertToDeepLLangCode(langCode, isTarget) {
+  const mapping = {
+    'zh-CN':  isTarget ? 'ZH-HANS' : 'ZH',   // Chinese (Simplified)
+    'zh-TW':  isTarget ? 'ZH-HANT' : 'ZH',   // Chinese (Traditional)
+    'en':     isTarget ? 'EN-US' : 'EN',     // English
+    'ja':     'JA',                          // Japanese
+    'ko':     'KO',                          // Korean
+    'fr':     'FR',                          // French
+    'de':     'DE',                          // German
+    'es':     'ES',                          // Spanish
+    'ru':     'RU',                          // Russian
+    'ar':     'AR',                          // Arabic
+    'pt':     isTarget ? 'PT-BR' : 'PT',     // Portuguese
+    'it':     'IT',                          // Italian
+  };
+  return mapping[langCode] || null;
+}
+
+/**
+ * 未填写 endpoint 时按密钥选择：Free 版密钥以 ":fx" 结尾
+ */
+function getDeepLEndpoint(config) {
+  if (config.apiEndpoint) return config.apiEndpoint;
+  return (config.apiKey || '').trim().endsWith(':fx') ? DEEPL_FREE_ENDPOINT : DEEPL_PRO_ENDPOINT;
+}
+
+async function callDeepLApi(texts, config, signal) {
+  const targetLang = convertToDeepLLangCode(config.targetLang, true);
+  if (!targetLang) {
+    throw new Error(`DeepL 不支持目标语言: ${config.targetLang}`);
+  }
+
+  const body = {
+    text: texts,
+    target_lang: targetLang
+  };
+
+  const sourceLang = config.sourceLang && config.sourceLang !== 'auto'
+    ? convertToDeepLLangCode(config.sourceLang, false)
+    : null;
+  if (sourceLang) body.source_lang = sourceLang;
+
+  // prefer_* 在目标语言不支持正式度时会被忽略，不会报错
+  if (config.deeplFormality && config.deeplFormality !== 'default') {
+    body.formality = config.deeplFormality;
+  }
+
+  // DeepL 术语表要求明确指定源语言
+  if (config.deeplGlossaryId) {
+    if (sourceLang) {
+      body.glossary_id = config.deeplGlossaryId;
+    } else {
+      console.warn('[OpenImmerseTranslate] DeepL glossary ignored: source language is auto');
+    }
+  }
+
+  const response = await providerFetch(config.provider, getDeepLEndpoint(config), {
+    method: 'POST',
+    signal,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `DeepL-Auth-Key ${config.apiKey}`
+    },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const detail = errorData.message || errorData.detail || '';
+    // 把 DeepL 特有的状态码转成 parseTranslationError 能识别的描述
+    if (response.status === 403) throw createProviderError(`Invalid API key (DeepL 403) ${detail}`.trim(), 403);
+    if (response.status === 456) throw createProviderError('DeepL quota exceeded (456)', 456);
+    throw createProviderError(`DeepL API error: ${response.status} ${detail}`.trim(), response.status);
+  }
+
+  const data = await response.json();
+  return (data.translations || []).map(item => item.text || '');
+}
+
+// ==================== 国内机器翻译（百度 / 有道 / 腾讯）====================
+// 这些服务需要两段凭据：appId（百度 APP ID / 有道应用 ID / 腾讯 SecretId）+ apiKey（对应的密钥）
+
+/**
+ * Convert internal language codes to each vendor's codes.
+ * Languages missing from a column are not supported by that vendor.
+ * 
+ * Ref: https://fanyi-api.baidu.com/doc/21
+ *      https://ai.youdao.com/DOCSIRMA/html/trans/api/plwbfy/index.html
+ *      https://cloud.tencent.com/document/api/551/40566
+ */
+const CN_MT_LANG_CODES = {
+  //        baidu   youdao    tencent
+  'auto':  ['auto', 'auto',   'auto'],
+  'zh-CN': ['zh',   'zh-CHS', 'zh'],
+  'zh-TW': ['cht',  'zh-CHT', 'zh-TW'],
+  'en':    ['en',   'en',     'en'],
+  'ja':    ['jp',   'ja',     'ja'],
+  'ko':    ['kor',  'ko',     'ko'],
+  'fr':    ['fra',  'fr',     'fr'],
+  'de':    ['de',   'de',     'de'],
+  'es':    ['spa',  'es',     'es'],
+  'ru':    ['ru',   'ru',     'ru'],
+  'ar':    ['ara',  'ar',     'ar'],
+  'pt':    ['pt',   'pt',     'pt'],
+  'it':    ['it',   'it',     'it'],
+  'vi':    ['vie',  'vi',     'vi'],
+  'th':    ['th',   'th',     'th']
+};
+
+function convertToCnMtLangCode(provider, langCode) {
+  const column = { baidu: 0, youdao: 1, tencent: 2 }[provider];
+  const code = CN_MT_LANG_CODES[langCode || 'auto']?.[column];
+  if (!code) {
+    throw new Error(`${provider} 不支持该语言: ${langCode}`);
+  }
+  return code;
+}
+
+function requireAppCredentials(config, provider) {
+  if (!config.appId || !config.apiKey) {
+    throw new Error(`${provider} 需要填写 App ID 和 API Key`);
+  }
+}
+
+/**
+ * MD5（百度翻译签名使用；WebCrypto 不提供 MD5）
+ */
+function md5Hex(text) {
+  const bytes = new TextEncoder().encode(text);
+  const bitLength = bytes.length * 8;
+  const paddedLength = (((bytes.length + 8) >>> 6) + 1) * 64;
+  const buffer = new Uint8Array(paddedLength);
+  buffer.set(bytes);
+  buffer[bytes.length] = 0x80;
+  const view = new DataView(buffer.buffer);
+  view.setUint32(paddedLength - 8, bitLength >>> 0, true);
+  view.setUint32(paddedLength - 4, Math.floor(bitLength / 0x100000000), true);
+
+  const shifts = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+  const constants = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) >>> 0);
+  let a0 = 0x67452301, b0 = 0xefcdab89, c0 = 0x98badcfe, d0 = 0x10325476;
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    const m = Array.from({ length: 16 }, (_, i) => view.getUint32(offset + i * 4, true));
+    let a = a0, b = b0, c = c0, d = d0;
+
+    for (let i = 0; i < 64; i++) {
+      let f, g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+      const shift = shifts[(i >>> 4) * 4 + (i % 4)];
+      const sum = (a + f + constants[i] + m[g]) >>> 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << shift) | (sum >>> (32 - shift)))) >>> 0;
+    }
+
+    a0 = (a0 + a) >>> 0;
+    b0 = (b0 + b) >>> 0;
+    c0 = (c0 + c) >>> 0;
+    d0 = (d0 + d) >>> 0;
+  }
+
+  const out = new DataView(new ArrayBuffer(16));
+  [a0, b0, c0, d0].forEach((word, i) => out.setUint32(i * 4, word, true));
+  return Array.from(new Uint8Array(out.buffer), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function hmacSha256(key, text) {
+  const keyBytes = typeof key === 'string' ? new TextEncoder().encode(key) : key;
+  const cryptoKey = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(text)));
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 百度翻译：多段文本用换行拼成一个 q，返回的 trans_result 与行一一对应
+ * sign = MD5(appid + q + salt + 密钥)
+ */
+async function callBaiduApi(texts, config, signal) {
+  requireAppCredentials(config, 'Baidu');
+
+  // 文本内部的换行会打乱行对应关系
+  const q = texts.map(t => t.replace(/\s*\n\s*/g, ' ')).join('\n');
+  const salt = String(Date.now());
+  const params = new URLSearchParams({
+    q,
+    from: convertToCnMtLangCode('baidu', config.sourceLang),
+    to: convertToCnMtLangCode('baidu', config.targetLang),
+    appid: config.appId,
+    salt,
+    sign: md5Hex(config.appId + q + salt + config.apiKey)
+  });
+
+  const response = await providerFetch(config.provider, config.apiEndpoint || PROVIDER_DEFAULTS_SW.baidu.endpoint, {
+    method: 'POST',
+    signal,
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params.toString()
+  });
+
+  if (!response.ok) {
+    throw createProviderError(`Baidu API error: ${response.status}`, response.status);
+  }
+
+  const data = await response.json();
+  if (data.error_code && data.error_code !== '52000') {
+    throw createProviderError(describeBaiduError(data.error_code, data.error_msg), BAIDU_ERROR_STATUS[data.error_code]);
+  }
+
+  return (data.trans_result || []).map(item => item.dst || '');
+}
+
+/**
+ * 把百度错误码转成 parseTranslationError 能识别的描述
+ */
+// 百度在 HTTP 200 中返回错误码，映射为等价状态码供重试 / 备用服务判断
+const BAIDU_ERROR_STATUS = {
+  '52001': 504, '52002': 500, '52003': 401, '54001': 401,
+  '54003': 429, '54004': 402, '54005': 429, '90107': 401
+};
+
+function describeBaiduError(code, message) {
+  const descriptions = {
+    '52001': 'Baidu request timeout',
+    '52002': 'Baidu server error',
+    '52003': 'Invalid API key (Baidu 52003: unauthorized user)',
+    '54001': 'Invalid API key (Baidu 54001: sign error)',
+    '54003': 'Baidu rate limit exceeded (54003)',
+    '54004': 'Baidu insufficient balance (54004)',
+    '54005': 'Baidu rate limit: long query too frequent (54005)',
+    '58001': 'Baidu does not support this language (58001)',
+    '90107': 'Baidu authentication failed (90107)'
+  };
+  return descriptions[code] || `Baidu API error ${code}: ${message || ''}`.trim();
+}
+
+/**
+ * 有道智云批量翻译（v2/api）：多个 q 参数
+ * sign = SHA256(appKey + input + salt + curtime + 密钥)，input 为全部 q 拼接后截断
+ */
+async function callYoudaoApi(texts, config, signal) {
+  requireAppCredentials(config, 'Youdao');
+
+  const joined = texts.join('');
+  const input = joined.length <= 20
+    ? joined
+    : `${joined.slice(0, 10)}${joined.length}${joined.slice(-10)}`;
+  const salt = crypto.randomUUID();
+  const curtime = String(Math.floor(Date.now() / 1000));
+
+  const params = new URLSearchParams();
+  texts.forEach(text => params.append('q', text));
+  params.append('from', convertToCnMtLangCode('youdao', config.sourceLang));
+  params.append('to', convertToCnMtLangCode('youdao', config.targetLang));
+  params.append('appKey', config.appId);
+  params.append('salt', salt);
+  params.append('signType', 'v3');
+  params.append('curtime', curtime);
+  params.append('sign', await sha256Hex(config.appId + input + salt + curtime + config.apiKey));
+
+  const response = await providerFetch(config.provider, config.apiEndpoint || PROVIDER_DEFAULTS_SW.youdao.endpoint, {
+    method: 'POST',
+    signal,
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params.toString()
+  });
+
+  if (!response.ok) {
+    throw createProviderError(`Youdao API error: ${response.status}`, response.status);
+  }
+
+  const data = await response.json();
+  if (data.errorCode && data.errorCode !== '0') {
+    throw createProviderError(describeYoudaoError(data.errorCode), YOUDAO_ERROR_STATUS[data.errorCode]);
+  }
+
+  // 结果按 query 对齐，避免服务端调整顺序
+  const results = data.translateResults || [];
+  return texts.map((text, i) => {
+    const match = results.find(r => r.query === text) || results[i];
+    return match?.translation || '';
+  });
+}
+
+const YOUDAO_ERROR_STATUS = {
+  '108': 401, '202': 401, '401': 402, '411': 429, '412': 429
+};
+
+function describeYoudaoError(code) {
+  const descriptions = {
+    '108': 'Invalid API key (Youdao 108: appKey invalid)',
+    '202': 'Invalid API key (Youdao 202: signature check failed)',
+    '206': 'Youdao timestamp rejected (206)',
+    '401': 'Youdao insufficient balance (401)',
+    '411': 'Youdao rate limit exceeded (411)',
+    '412': 'Youdao rate limit: long requests too frequent (412)'
+  };
+  return descriptions[code] || `Youdao API error ${code}`;
+}
+
+/**
+ * 腾讯云机器翻译 TextTranslateBatch，使用 TC3-HMAC-SHA256 签名
+ * Ref: https://cloud.tencent.com/document/api/551/30636
+ */
+async function callTencentApi(texts, config, signal) {
+  requireAppCredentials(config, 'Tencent');
+
+  const endpoint = config.apiEndpoint || PROVIDER_DEFAULTS_SW.tencent.endpoint;
+  const host = new URL(endpoint).host;
+  const service = 'tmt';
+  const action = 'TextTranslateBatch';
+  const timestamp = Math.floor(Date.now() / 1000);
+  const date = new Date(timestamp * 1000).toISOString().slice(0, 10);
+
+  const payload = JSON.stringify({
+    SourceTextList: texts,
+    Source: convertToCnMtLangCode('tencent', config.sourceLang),
+    Target: convertToCnMtLangCode('tencent', config.targetLang),
+    ProjectId: 0
+  });
+
+  // 1. 规范请求串
+  const contentType = 'application/json; charset=utf-8';
+  const signedHeaders = 'content-type;host;x-tc-action';
+  const canonicalRequest = [
+    'POST',
+    '/',
+    '',
+    `content-type:${contentType}\nhost:${host}\nx-tc-action:${action.toLowerCase()}\n`,
+    signedHeaders,
+    await sha256Hex(payload)
+  ].join('\n');
+
+  // 2. 待签名字符串
+  const credentialScope = `${date}/${service}/tc3_request`;
+  const stringToSign = [
+    'TC3-HMAC-SHA256',
+    timestamp,
+    credentialScope,
+    await sha256Hex(canonicalRequest)
+  ].join('\n');
+
+  // 3. 派生签名密钥并签名
+  const secretDate = await hmacSha256(`TC3${config.apiKey}`, date);
+  const secretService = await hmacSha256(secretDate, service);
+  const secretSigning = await hmacSha256(secretService, 'tc3_request');
+  const signature = bytesToHex(await hmacSha256(secretSigning, stringToSign));
+
+  const response = await providerFetch(config.provider, endpoint, {
+    method: 'POST',
+    signal,
+    headers: {
+      'Content-Type': contentType,
+      'Authorization': `TC3-HMAC-SHA256 Credential=${config.appId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+      'X-TC-Action': action,
+      'X-TC-Timestamp': String(timestamp),
+      'X-TC-Version': '2018-03-21',
+      'X-TC-Region': config.region || PROVIDER_DEFAULTS_SW.tencent.region
+    },
+    body: payload
+  });
+
+  if (!response.ok) {
+    throw createProviderError(`Tencent API error: ${response.status}`, response.status);
+  }
+
+  const data = await response.json();
+  const error = data.Response?.Error;
+  if (error) {
+    throw createProviderError(describeTencentError(error.Code, error.Message), getTencentErrorStatus(error.Code));
+  }
+
+  return data.Response?.TargetTextList || [];
+}
+
+function getTencentErrorStatus(code = '') {
+  if (code.startsWith('AuthFailure')) return 401;
+  if (code === 'RequestLimitExceeded' || code.startsWith('LimitExceeded')) return 429;
+  if (code.startsWith('InternalError')) return 500;
+  return undefined;
+}
+
+function describeTencentError(code = '', message = '') {
+  if (code.startsWith('AuthFailure')) return `Invalid API key (Tencent ${code})`;
+  if (code === 'RequestLimitExceeded' || code.startsWith('LimitExceeded')) return `Tencent rate limit exceeded (${code})`;
+  if (code.includes('NoFreeAmount') || code.includes('ServiceIsolate') || code.includes('Arrears')) {
+    return `Tencent insufficient balance (${code})`;
+  }
+  if (code.startsWith('InternalError')) return `Tencent server error (${code})`;
+  return `Tencent API error ${code}: ${message}`.trim();
+}
+
+// ==================== LibreTranslate ====================
+/**
+ * 自建 LibreTranslate：endpoint 为服务根地址（也接受完整的 /translate 地址）
+ * q 以数组提交整个批次，API Key 可选
+ */
+function buildLibreTranslateUrl(config) {
+  const base = (config.apiEndpoint || PROVIDER_DEFAULTS_SW.libretranslate.endpoint).replace(/\/+$/, '');
+  return /\/translate$/.test(base) ? base : `${base}/translate`;
+}
+
+// LibreTranslate 用 zt 表示繁体中文，其余与内部代码一致
+function convertToLibreLangCode(langCode) {
+  const mapping = {
+    'zh-CN': 'zh',
+    'zh-TW': 'zt'
+  };
+  return mapping[langCode] || langCode || 'auto';
+}
+
+async function callLibreTranslateApi(texts, config, signal, meta) {
+  const body = {
+    q: texts,
+    source: convertToLibreLangCode(config.sourceLang || 'auto'),
+    target: convertToLibreLangCode(config.targetLang),
+    format: 'text'
+  };
+  if (config.apiKey) body.api_key = config.apiKey;
+
+  const response = await providerFetch(config.provider, buildLibreTranslateUrl(config), {
+    method: 'POST',
+    signal,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const detail = errorData.error || '';
+    // 403 表示服务端要求 API Key
+    if (response.status === 403) throw createProviderError(`Invalid API key (LibreTranslate 403) ${detail}`.trim(), 403);
+    throw createProviderError(`LibreTranslate API error: ${response.status} ${detail}`.trim(), response.status);
+  }
+
+  const data = await response.json();
+
+  // source 为 auto 时返回检测到的语言（数组请求对应数组），取置信度最高的一个
+  const detected = [].concat(data.detectedLanguage || [])
+    .filter(d => d?.language)
+    .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))[0];
+  if (detected && meta) {
+    meta.detectedLanguage = detected.language === 'zt' ? 'zh-TW' : (detected.language === 'zh' ? 'zh-CN' : detected.language);
+  }
+
+  return [].concat(data.translatedText ?? []).map(t => t || '');
+}
+
+// ==================== 提示词模板库 ====================
+/**
+ * 模板存于 chrome.storage.sync 的 promptTemplates：[{ id, name, prompt, examples: [{ source, target }] }]
+ * globalConfig.promptTemplate 为默认模板，globalConfig.sitePromptTemplates 按域名指定模板
+ */
+class PromptTemplateStore {
+  constructor() {
+    this.cache = null;  // 懒加载，存储变化时失效
+  }
+
+  async load() {
+    if (!this.cache) {
+      const result = await chrome.storage.sync.get(['promptTemplates', 'globalConfig']);
+      const global = result.globalConfig || {};
+      this.cache = {
+        templates: Array.isArray(result.promptTemplates) ? result.promptTemplates : [],
+        defaultId: global.promptTemplate || '',
+        siteTemplates: global.sitePromptTemplates || {}
+      };
+    }
+    return this.cache;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  /**
+   * 站点模板优先，其次默认模板；都没有时返回 null
+   */
+  async resolve(site) {
+    const { templates, defaultId, siteTemplates } = await this.load();
+    const id = siteTemplates[site] || defaultId;
+    return (id && templates.find(template => template?.id === id)) || null;
+  }
+}
+
+const promptTemplateStore = new PromptTemplateStore();
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && (changes.promptTemplates || changes.globalConfig)) {
+    promptTemplateStore.invalidate();
+  }
+});
+
+/**
+ * 把当前站点的模板写入 customPrompt / fewShotExamples；没有模板时沿用设置里的自定义提示词
+ * templateApplied 表示调用方已经决定了提示词（如设置页预览），不再查模板库
+ */
+async function applyPromptTemplate(config, site) {
+  if (config.templateApplied) return config;
+
+  const template = await promptTemplateStore.resolve(config.domain || site);
+  if (!template) {
+    return { ...config, templateApplied: true };
+  }
+  return {
+    ...config,
+    customPrompt: template.prompt || config.customPrompt,
+    fewShotExamples: Array.isArray(template.examples) ? template.examples : [],
+    templateApplied: true
+  };
+}
+
+/**
+ * 替换提示词中的 {变量}（全部出现位置）；未知变量原样保留
+ */
+function renderPromptVariables(prompt, vars) {
+  return prompt.replace(/\{(\w+)\}/g, (match, key) => (key in vars ? vars[key] : match));
+}
+
+// 术语表写成 "原文 → 译文" 列表，供 {glossary} 使用
+function formatGlossaryForPrompt(glossary) {
+  if (!Array.isArray(glossary)) return '';
+  return glossary
+    .filter(entry => entry?.source && entry?.target)
+    .map(entry => `${entry.source} → ${entry.target}`)
+    .join('\n');
+}
+
+// 内置提示词和未使用 {glossary} 的自定义提示词，术语表作为单独一节附上
+function buildGlossarySection(glossary) {
+  const list = formatGlossaryForPrompt(glossary);
+  return list ? `术语表（原文出现以下术语时，必须使用指定译法）：\n${list}` : '';
+}
+
+// few-shot 示例附在系统提示词后，引导术语和语气
+function buildFewShotSection(examples) {
+  const pairs = (Array.isArray(examples) ? examples : []).filter(pair => pair?.source && pair?.target);
+  if (pairs.length === 0) return '';
+  return '示例：\n' + pairs.map(pair => `原文：${pair.source}\n译文：${pair.target}`).join('\n\n');
+}
+
+/**
+ * 上下文模式：页面标题、所在章节和上一段原文/译文，明确标注为仅供参考、不翻译
+ */
+function buildContextSection(config) {
+  const context = config.contextMode ? config.pageContext : null;
+  if (!context) return '';
+  const lines = [
+    ['页面标题', context.title],
+    ['所在章节', context.heading],
+    ['上一段原文', context.previousSource],
+    ['上一段译文', context.previousTranslation]
+  ].filter(([, value]) => value).map(([label, value]) => `${label}：${value}`);
+  if (lines.length === 0) return '';
+  return `上下文（仅用于理解指代、术语和语气，不要翻译，也不要出现在输出中）：
+<context>
+${lines.join('\n')}
+</context>`;
+}
+
+async function handlePreviewPrompt(config, text) {
+  const resolved = await applyGlossary(await applyPromptTemplate(config, config.domain), [text], config.domain);
+  return {
+    systemPrompt: buildSystemPrompt(resolved),
+    userPrompt: isStructuredOutputEnabled(resolved) ? buildStructuredUserPrompt([text]) : buildUserPrompt([text])
+  };
+}
+
+// ==================== 术语表 ====================
+/**
+ * 术语表存于 chrome.storage.local 的 glossaries（导入的 CSV 可能超出 sync 的单项配额）：
+ * { [scope]: { entries: [{ source, target }], caseSensitive, wholeWord } }，scope 为 '*'（全局）或域名
+ */
+const GLOSSARY_KEY = 'glossaries';
+const GLOBAL_GLOSSARY_SCOPE = '*';
+
+class GlossaryStore {
+  constructor() {
+    this.data = null;          // 懒加载，存储变化时失效
+    this.resolved = new Map(); // site -> { terms, signature }
+  }
+
+  async load() {
+    if (!this.data) {
+      const result = await chrome.storage.local.get(GLOSSARY_KEY);
+      this.data = result[GLOSSARY_KEY] || {};
+    }
+    return this.data;
+  }
+
+  invalidate() {
+    this.data = null;
+    this.resolved.clear();
+  }
+
+  async get(scope) {
+    const data = await this.load();
+    return normalizeGlossary(data[scope || GLOBAL_GLOSSARY_SCOPE]);
+  }
+
+  /**
+   * 保存某个范围的术语表，条目为空时删除该范围
+   */
+  async set(scope, glossary) {
+    const key = scope || GLOBAL_GLOSSARY_SCOPE;
+    const cleaned = normalizeGlossary(glossary);
+    const data = { ...await this.load() };
+    if (cleaned.entries.length > 0) {
+      data[key] = cleaned;
+    } else {
+      delete data[key];
+    }
+    await chrome.storage.local.set({ [GLOSSARY_KEY]: data });
+    this.invalidate();
+    return cleaned;
+  }
+
+  /**
+   * 站点生效的术语：站点术语覆盖同名全局术语；signature 用于缓存键，术语表变化后旧译文不再命中
+   */
+  async resolve(site) {
+    const key = site || '';
+    if (!this.resolved.has(key)) {
+      const data = await this.load();
+      const scopes = [site && data[site], data[GLOBAL_GLOSSARY_SCOPE]].filter(Boolean).map(normalizeGlossary);
+      // 区分大小写的术语表里 "Spark" 和 "spark" 是两条术语；不区分时按同一条处理（先出现的生效）
+      const seenExact = new Set();    // 已收录的区分大小写术语
+      const seenFolded = new Set();   // 已收录的不区分大小写术语（小写）
+      const seenAny = new Set();      // 所有已收录术语（小写）
+      const terms = [];
+      scopes.forEach(glossary => {
+        glossary.entries.forEach(entry => {
+          const folded = entry.source.toLowerCase();
+          const duplicate = glossary.caseSensitive
+            ? seenExact.has(entry.source) || seenFolded.has(folded)
+            : seenAny.has(folded);
+          if (duplicate) return;
+          if (glossary.caseSensitive) seenExact.add(entry.source);
+          else seenFolded.add(folded);
+          seenAny.add(folded);
+          terms.push(compileGlossaryTerm(entry, glossary));
+        });
+      });
+      // 长词优先，避免 "Spark" 抢先匹配 "Spark SQL"
+      terms.sort((a, b) => b.source.length - a.source.length);
+      const signature = terms.length > 0 ? await sha256Hex(JSON.stringify(scopes)) : '';
+      this.resolved.set(key, { terms, signature });
+    }
+    return this.resolved.get(key);
+  }
+}
+
+const glossaryStore = new GlossaryStore();
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[GLOSSARY_KEY]) {
+    glossaryStore.invalidate();
+  }
+});
+
+function normalizeGlossary(glossary) {
+  const entries = (Array.isArray(glossary?.entries) ? glossary.entries : [])
+    .map(entry => ({ source: String(entry?.source || '').trim(), target: String(entry?.target || '').trim() }))
+    .filter(entry => entry.source && entry.target);
+  return {
+    entries,
+    caseSensitive: glossary?.caseSensitive === true,
+    wholeWord: glossary?.wholeWord === true
+  };
+}
+
+// 只有字母数字类文字需要整词边界；中日韩泰文字不以空格分词，加边界会导致永远匹配不到
+function needsWordBoundary(char) {
+  return /[\p{L}\p{N}_]/u.test(char) &&
+    !/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]/u.test(char);
+}
+
+function compileGlossaryTerm(entry, options) {
+  let pattern = entry.source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (options.wholeWord) {
+    if (needsWordBoundary(entry.source[0])) pattern = `(?<![\\p{L}\\p{N}_])${pattern}`;
+    if (needsWordBoundary(entry.source[entry.source.length - 1])) pattern = `${pattern}(?![\\p{L}\\p{N}_])`;
+  }
+  return {
+    source: entry.source,
+    target: entry.target,
+    pattern: new RegExp(pattern, options.caseSensitive ? 'gu' : 'giu')
+  };
+}
+
+/**
+ * 找出本批文本中出现的术语：LLM 写入提示词（config.glossary），机器翻译用占位符保护（config.glossaryTerms）
+ */
+async function applyGlossary(config, texts, site) {
+  const { terms, signature } = await glossaryStore.resolve(config.domain || site);
+  if (terms.length === 0) return config;
+
+  const matched = terms.filter(term => texts.some(text => text.search(term.pattern) !== -1));
+  return {
+    ...config,
+    glossary: matched.map(({ source, target }) => ({ source, target })),
+    glossaryTerms: matched,
+    glossarySignature: signature
+  };
+}
+
+// ==================== 占位符保护 ====================
+// 不可翻译的片段先换成 ⟦n⟧，译后按编号换回；部分服务会在括号内加空格，换回时一并容忍
+const PLACEHOLDER_PATTERN = /⟦\s*(\d+)\s*⟧/g;
+const PLACEHOLDER_INSTRUCTION = '文本中的 ⟦数字⟧ 是占位符，代表不可翻译的内容，必须原样保留在译文的对应位置，不要增删或改写';
+// 富文本模式下页面发送的行内标签（与 content.js 的 createRichTextBlock 保持一致）
+const RICH_TEXT_TAG_PATTERN = /<\/?g\d+\/?>/g;
+const RICH_TEXT_INSTRUCTION = '文本中的 <g1>…</g1> 是链接、加粗等格式标签，<g2/> 代表不可翻译的内容：译文必须保留全部标签，成对标签包住对应的译文，可按语序调整位置，不要增删或改动标签';
+
+/**
+ * 用户的不翻译规则对所有服务生效；机器翻译不读提示词，术语也用占位符保护，换回时替换为指定译法
+ */
+function getPlaceholderRules(config) {
+  const rules = compileProtectedPatterns(config.protectedPatterns)
+    .map(pattern => ({ pattern, replace: match => match }));
+  if (isMachineTranslationProvider(config.provider)) {
+    // 机器翻译不认识 <gN> 标签，换成占位符后位置才不会乱
+    if (config.richText) {
+      rules.push({ pattern: RICH_TEXT_TAG_PATTERN, replace: match => match });
+    }
+    (config.glossaryTerms || []).forEach(term => {
+      rules.push({ pattern: term.pattern, replace: () => term.target });
+    });
+  }
+  return rules;
+}
+
+const compiledPatternCache = new Map(); // 规则原文 -> RegExp | null
+
+/**
+ * 编译不翻译规则，无效的规则跳过；优先按 Unicode 模式编译，失败再按普通模式
+ */
+function compileProtectedPatterns(patterns) {
+  return (Array.isArray(patterns) ? patterns : [])
+    .filter(source => typeof source === 'string' && source.trim())
+    .map(source => {
+      if (!compiledPatternCache.has(source)) {
+        compiledPatternCache.set(source, compileUserRegExp(source));
+      }
+      return compiledPatternCache.get(source);
+    })
+    .filter(Boolean);
+}
+
+function compileUserRegExp(source) {
+  for (const flags of ['gu', 'g']) {
+    try {
+      return new RegExp(source, flags);
+    } catch (error) {
+      // 换下一种模式
+    }
   }
-  
-  return text;
+  console.warn('[OpenImmerseTranslate] Invalid protected pattern ignored:', source);
+  return null;
+}
+
+/**
+ * @param {string[]} texts
+ * @param {{pattern: RegExp, replace: (match: string) => string}[]} rules - pattern 需带 g 标志，replace 返回换回时的文本
+ * @returns {{texts: string[], count: number, restore: (translations: string[]) => string[], findBroken: (translations: string[]) => number[]}}
+ */
+function protectWithPlaceholders(texts, rules) {
+  if (!rules || rules.length === 0) {
+    return { texts, count: 0, restore: translations => translations, findBroken: () => [] };
+  }
+
+  const values = [];
+  const idsPerText = [];
+  const protectedTexts = texts.map(text => {
+    const ids = [];
+    idsPerText.push(ids);
+    const matches = [];
+    rules.forEach(rule => {
+      for (const match of text.matchAll(rule.pattern)) {
+        if (!match[0]) continue;
+        matches.push({ start: match.index, end: match.index + match[0].length, value: rule.replace(match[0]) });
+      }
+    });
+    // 重叠时先出现、更长的优先
+    matches.sort((a, b) => a.start - b.start || b.end - a.end);
+
+    let result = '';
+    let cursor = 0;
+    matches.forEach(match => {
+      if (match.start < cursor) return;
+      result += `${text.slice(cursor, match.start)}⟦${values.length}⟧`;
+      ids.push(values.length);
+      values.push(match.value);
+      cursor = match.end;
+    });
+    return result + text.slice(cursor);
+  });
+
+  return {
+    texts: protectedTexts,
+    count: values.length,
+    restore: translations => translations.map(translation =>
+      (translation || '').replace(PLACEHOLDER_PATTERN, (placeholder, index) => values[index] ?? placeholder)
+    ),
+    // 完整性校验：每条译文中的占位符应与原文一一对应，不多不少
+    findBroken: translations => translations.reduce((broken, translation, i) => {
+      const expected = idsPerText[i] || [];
+      const found = [...(translation || '').matchAll(PLACEHOLDER_PATTERN)].map(match => Number(match[1]));
+      const intact = found.length === expected.length && expected.every(id => found.includes(id));
+      return intact ? broken : [...broken, i];
+    }, [])
+  };
 }
 
 // ==================== 提示词构建 ====================
@@ -494,10 +2663,31 @@ function buildSystemPrompt(config) {
     : null;
   const styleGuide = styleGuides[config.translationStyle] || styleGuides.accurate;
   
+  const formatInstruction = isStructuredOutputEnabled(config)
+    ? STRUCTURED_FORMAT_INSTRUCTION
+    : `格式：多段用 "${TRANSLATION_SEPARATOR}" 分隔，输出对应分隔`;
+  const fewShot = buildFewShotSection(config.fewShotExamples);
+  const contextSection = buildContextSection(config);
+  const glossarySection = buildGlossarySection(config.glossary);
+  const placeholderInstruction = [
+    config.hasPlaceholders ? PLACEHOLDER_INSTRUCTION : '',
+    config.richText ? RICH_TEXT_INSTRUCTION : ''
+  ].filter(Boolean).join('\n');
+  
   if (config.customPrompt && config.customPrompt.trim()) {
-    return config.customPrompt
-      .replace('{targetLang}', targetLang)
-      .replace('{sourceLang}', sourceLang || '自动检测');
+    const prompt = renderPromptVariables(config.customPrompt, {
+      targetLang,
+      sourceLang: sourceLang || '自动检测',
+      pageTitle: config.pageTitle || '',
+      domain: config.domain || '',
+      style: styleGuide,
+      glossary: formatGlossaryForPrompt(config.glossary)
+    });
+    // 自定义提示词不知道 JSON 协议，需要补上；没写 {glossary} 时术语表单独附上
+    const extraGlossary = config.customPrompt.includes('{glossary}') ? '' : glossarySection;
+    return [prompt, extraGlossary, fewShot, contextSection, placeholderInstruction, isStructuredOutputEnabled(config) ? formatInstruction : '']
+      .filter(Boolean)
+      .join('\n\n');
   }
   
   const sourceInstruction = sourceLang 
@@ -512,7 +2702,7 @@ function buildSystemPrompt(config) {
 3. 如果已是${targetLang}，返回原文
 4. 只返回翻译结果，不加解释
 
-格式：多段用 "${TRANSLATION_SEPARATOR}" 分隔，输出对应分隔`;
+${glossarySection ? `${glossarySection}\n\n` : ''}${fewShot ? `${fewShot}\n\n` : ''}${contextSection ? `${contextSection}\n\n` : ''}${placeholderInstruction ? `${placeholderInstruction}\n\n` : ''}${formatInstruction}`;
 }
 
 /**
@@ -534,43 +2724,460 @@ function buildUserPrompt(texts) {
   return parts.join('');
 }
 
+// ==================== 结构化输出（JSON）====================
+/**
+ * 以 {id, text} 数组发送批次，要求模型返回 {"translations": [{id, text}]}，
+ * 结果按 id 回填，不依赖分隔符，缺失的条目保持为空而不会错位
+ */
+const STRUCTURED_FORMAT_INSTRUCTION = '格式：输入是 JSON 数组 [{"id","text"}]。只输出 JSON 对象 {"translations":[{"id":"<原 id>","text":"<译文>"}]}，每个输入 id 对应一条译文，不要合并或拆分条目';
+
+const STRUCTURED_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    translations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          text: { type: 'string' }
+        },
+        required: ['id', 'text'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['translations'],
+  additionalProperties: false
+};
+
+// 支持 json_schema 的服务；其余 OpenAI 兼容服务只用 json_object
+const JSON_SCHEMA_PROVIDERS = new Set(['openai', 'azure']);
+
+function isStructuredOutputEnabled(config) {
+  return config.structuredOutput === true && !isMachineTranslationProvider(config.provider);
+}
+
+function buildStructuredUserPrompt(texts) {
+  return JSON.stringify(texts.map((text, i) => ({ id: String(i + 1), text })));
+}
+
+/**
+ * 解析结构化响应并按 id 回填
+ * @param {string|object} content - 模型输出的 JSON 文本，或 tool use 的 input 对象
+ * @param {number} count - 原文条数
+ * @returns {string[]} 与原文等长，缺失的位置为空字符串
+ */
+function parseStructuredTranslations(content, count) {
+  let data = content;
+  if (typeof content === 'string') {
+    // 部分模型会包一层 ```json 代码块
+    const text = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    data = safeJsonParse(text);
+    if (!data) {
+      throw new Error('Invalid JSON response from model');
+    }
+  }
+
+  const items = Array.isArray(data) ? data : data?.translations;
+  if (!Array.isArray(items)) {
+    throw new Error('Invalid JSON response from model: missing translations');
+  }
+
+  const results = new Array(count).fill('');
+  items.forEach(item => {
+    const index = parseInt(item?.id, 10) - 1;
+    if (index >= 0 && index < count && typeof item.text === 'string') {
+      results[index] = item.text.trim();
+    }
+  });
+  return results;
+}
+
+// ==================== 流式响应解析 ====================
+const SEPARATOR_TOKEN = '<<<OIT_SEP>>>';
+
+/**
+ * 逐行读取响应体
+ */
+async function* readResponseLines(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      yield buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      buffer = buffer.slice(newlineIndex + 1);
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer) yield buffer;
+}
+
+/**
+ * 解析 SSE，逐个产出事件的 data 字段（多行 data 按规范用换行拼接）
+ */
+async function* readSseData(response) {
+  let dataLines = [];
+  for await (const line of readResponseLines(response)) {
+    if (line === '') {
+      if (dataLines.length > 0) {
+        yield dataLines.join('\n');
+        dataLines = [];
+      }
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+  }
+  if (dataLines.length > 0) yield dataLines.join('\n');
+}
+
+function safeJsonParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 把尚未完成的流式文本按分隔符切分，保持与原文位置对齐
+ * 末尾只到达一半的分隔符（如 "<<<OIT_"）会被截掉，避免闪现在页面上
+ * 空段的处理与 parseTranslations 一致，否则开头多出的分隔符会让后续译文错位一格
+ */
+function splitPartialTranslations(content) {
+  let text = content;
+  for (let k = SEPARATOR_TOKEN.length - 1; k > 0; k--) {
+    if (text.endsWith(SEPARATOR_TOKEN.slice(0, k))) {
+      text = text.slice(0, -k);
+      break;
+    }
+  }
+  return text.split(/\s*<<<OIT_SEP>>>\s*/).map(p => p.trim()).filter(p => p.length > 0);
+}
+
+/**
+ * 节流转发部分结果，避免每个 token 都跨进程发消息
+ */
+function createPartialEmitter(onPartial, interval = 80) {
+  let lastEmit = 0;
+  return (content) => {
+    const now = Date.now();
+    if (now - lastEmit < interval) return;
+    lastEmit = now;
+    onPartial(splitPartialTranslations(content));
+  };
+}
+
+async function readOpenAIStream(response, onPartial, usage) {
+  const emit = createPartialEmitter(onPartial);
+  let content = '';
+
+  for await (const data of readSseData(response)) {
+    if (data === '[DONE]') break;
+    const chunk = safeJsonParse(data);
+    if (!chunk) continue;
+    if (chunk.error) {
+      throw new Error(chunk.error.message || JSON.stringify(chunk.error));
+    }
+    // 用量在最后一个 chunk 中（Moonshot 放在 choices[0].usage）
+    const chunkUsage = chunk.usage || chunk.choices?.[0]?.usage;
+    if (chunkUsage) {
+      addUsage(usage, chunkUsage.prompt_tokens, chunkUsage.completion_tokens);
+    }
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (delta) {
+      content += delta;
+      emit(content);
+    }
+  }
+
+  return content;
+}
+
+async function readAnthropicStream(response, onPartial, usage) {
+  const emit = createPartialEmitter(onPartial);
+  let content = '';
+
+  for await (const data of readSseData(response)) {
+    const event = safeJsonParse(data);
+    if (!event) continue;
+    if (event.type === 'error') {
+      throw new Error(event.error?.message || 'Anthropic stream error');
+    }
+    // 输入用量在 message_start，输出用量（累计值）在 message_delta
+    if (event.type === 'message_start') {
+      addUsage(usage, event.message?.usage?.input_tokens, 0);
+    }
+    if (event.type === 'message_delta') {
+      addUsage(usage, 0, event.usage?.output_tokens);
+    }
+    if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+      content += event.delta.text;
+      emit(content);
+    }
+    if (event.type === 'message_stop') break;
+  }
+
+  return content;
+}
+
+async function readOllamaStream(response, onPartial, usage) {
+  const emit = createPartialEmitter(onPartial);
+  let content = '';
+
+  // Ollama 使用 NDJSON：每行一个 JSON 对象
+  for await (const line of readResponseLines(response)) {
+    if (!line.trim()) continue;
+    const chunk = safeJsonParse(line);
+    if (!chunk) continue;
+    if (chunk.error) {
+      throw new Error(`Ollama 错误: ${chunk.error}`);
+    }
+    const delta = chunk.message?.content;
+    if (delta) {
+      content += delta;
+      emit(content);
+    }
+    if (chunk.done) {
+      addUsage(usage, chunk.prompt_eval_count, chunk.eval_count);
+      break;
+    }
+  }
+
+  return content;
+}
+
 // ==================== API 调用 ====================
-async function callOpenAICompatibleApi(systemPrompt, userPrompt, config, signal) {
-  const headers = { 'Content-Type': 'application/json' };
+/**
+ * Azure OpenAI 地址：部署名在路径中，api-version 作为查询参数
+ * resource 可以是资源名（my-resource），也可以是完整地址（自定义域名等）
+ */
+function buildAzureOpenAIUrl(config) {
+  const resource = (config.azureResource || '').trim().replace(/\/+$/, '');
+  if (!resource || !config.azureDeployment) {
+    throw new Error('Azure OpenAI 需要填写资源名称和部署名称');
+  }
+
+  const base = /^https?:\/\//i.test(resource) ? resource : `https://${resource}.openai.azure.com`;
+  const apiVersion = config.azureApiVersion || PROVIDER_DEFAULTS_SW.azure.apiVersion;
+  return `${base}/openai/deployments/${encodeURIComponent(config.azureDeployment)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`;
+}
+
+async function callOpenAICompatibleApi(systemPrompt, userPrompt, config, signal, onPartial, structured, usage) {
+  if (hasCustomRequestTemplate(config)) {
+    return callCustomTemplateApi(systemPrompt, userPrompt, config, signal, structured, usage);
+  }
 
-  if (config.apiKey && config.apiKey.trim()) {
-    headers['Authorization'] = `Bearer ${config.apiKey}`;
+  const isAzure = config.provider === 'azure';
+  const headers = { 'Content-Type': 'application/json' };
+  let url = isAzure ? buildAzureOpenAIUrl(config) : config.apiEndpoint;
+
+  if (config.provider === 'custom') {
+    url = applyCustomAuth(config, url, headers);
+  } else if (config.apiKey && config.apiKey.trim()) {
+    // Azure 使用 api-key 头而不是 Bearer
+    if (isAzure) {
+      headers['api-key'] = config.apiKey;
+    } else {
+      headers['Authorization'] = `Bearer ${config.apiKey}`;
+    }
   }
 
-  const response = await fetch(config.apiEndpoint, {
+  const response = await providerFetch(config.provider, url, {
     method: 'POST',
     signal,
     headers,
     body: JSON.stringify({
-      model: config.modelName,
+      // Azure 按部署路由，不需要 model 字段
+      ...(isAzure ? {} : { model: config.modelName }),
       messages: [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: userPrompt }
       ],
       max_tokens: config.maxTokens || 2048,
-      temperature: config.temperature || 0.3
+      temperature: config.temperature || 0.3,
+      ...(onPartial ? { stream: true } : {}),
+      ...(onPartial && STREAM_USAGE_PROVIDERS.has(config.provider) ? { stream_options: { include_usage: true } } : {}),
+      ...(structured ? { response_format: buildOpenAIResponseFormat(config) } : {})
     })
   });
   
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({}));
     const errorMsg = errorData.error?.message || errorData.message || `API错误: ${response.status}`;
-    throw new Error(errorMsg);
+    throw createProviderError(errorMsg, response.status);
+  }
+  
+  if (onPartial) {
+    return parseTranslations(await readOpenAIStream(response, onPartial, usage));
   }
   
   const data = await response.json();
+  addUsage(usage, data.usage?.prompt_tokens, data.usage?.completion_tokens);
   const content = data.choices?.[0]?.message?.content || '';
   
-  return parseTranslations(content);
+  return structured ? parseStructuredTranslations(content, structured.count) : parseTranslations(content);
+}
+
+// ==================== 自定义 API：请求头 / 鉴权 / 请求体模板 ====================
+const CUSTOM_AUTH_DEFAULT_NAMES = { header: 'X-API-Key', query: 'key' };
+
+function hasCustomRequestTemplate(config) {
+  return config.provider === 'custom' && !!(config.customBodyTemplate?.trim() || config.customResponsePath?.trim());
+}
+
+/**
+ * 解析 "Name: value" 格式的请求头（每行一个，忽略空行和 # 注释）
+ */
+function parseHeaderLines(text) {
+  const headers = {};
+  (text || '').split('\n').forEach(line => {
+    const trimmed = line.trim();
+    const colon = trimmed.indexOf(':');
+    if (!trimmed || trimmed.startsWith('#') || colon <= 0) return;
+    headers[trimmed.slice(0, colon).trim()] = trimmed.slice(colon + 1).trim();
+  });
+  return headers;
+}
+
+/**
+ * 按鉴权方式写入密钥并附加自定义请求头，返回（可能带查询参数的）请求地址
+ * - bearer：Authorization: Bearer <key>
+ * - header：<名称>: <key>
+ * - query：?<名称>=<key>
+ */
+function applyCustomAuth(config, url, headers) {
+  const apiKey = config.apiKey?.trim();
+  const style = config.customAuthStyle || 'bearer';
+  const name = config.customAuthName?.trim() || CUSTOM_AUTH_DEFAULT_NAMES[style];
+
+  if (apiKey) {
+    if (style === 'header') {
+      headers[name] = apiKey;
+    } else if (style === 'query') {
+      const parsed = new URL(url);
+      parsed.searchParams.set(name, apiKey);
+      url = parsed.toString();
+    } else {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+  }
+
+  // 自定义请求头最后写入，可以覆盖上面的默认值
+  Object.assign(headers, parseHeaderLines(config.customHeaders));
+  return url;
+}
+
+/**
+ * 用模板生成请求体：先解析 JSON 再替换字符串里的占位符，避免转义问题
+ * 值恰好是 "{{temperature}}" 这类单个占位符时保留原始类型（数字等），否则按文本替换
+ */
+function renderBodyTemplate(template, vars) {
+  let parsed;
+  try {
+    parsed = JSON.parse(template);
+  } catch (error) {
+    throw createProviderError(`自定义请求体模板不是有效的 JSON: ${error.message}`, 400);
+  }
+
+  const render = (value) => {
+    if (typeof value === 'string') {
+      const whole = value.match(/^\{\{(\w+)\}\}$/);
+      if (whole && whole[1] in vars) return vars[whole[1]];
+      return value.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in vars ? String(vars[key]) : match));
+    }
+    if (Array.isArray(value)) return value.map(render);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, render(item)]));
+    }
+    return value;
+  };
+
+  return render(parsed);
+}
+
+/**
+ * 按类 JSONPath 路径取值，如 "choices[0].message.content"、"$.output.text"
+ */
+function selectJsonPath(data, path) {
+  const tokens = path.trim().replace(/^\$\.?/, '').match(/[^.[\]]+/g) || [];
+  return tokens.reduce((value, token) => (value == null ? undefined : value[token]), data);
+}
+
+// 使用请求体模板 / 响应路径的自定义 API（响应格式未知，不走流式）
+async function callCustomTemplateApi(systemPrompt, userPrompt, config, signal, structured, usage) {
+  const headers = { 'Content-Type': 'application/json' };
+  const url = applyCustomAuth(config, config.apiEndpoint, headers);
+  const maxTokens = config.maxTokens || 2048;
+  const temperature = config.temperature || 0.3;
+
+  const body = config.customBodyTemplate?.trim()
+    ? renderBodyTemplate(config.customBodyTemplate, {
+      model: config.modelName,
+      systemPrompt,
+      userPrompt,
+      temperature,
+      maxTokens
+    })
+    : {
+      model: config.modelName,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ],
+      max_tokens: maxTokens,
+      temperature
+    };
+
+  const response = await providerFetch(config.provider, url, {
+    method: 'POST',
+    signal,
+    headers,
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMsg = errorData.error?.message || errorData.message || `API错误: ${response.status}`;
+    throw createProviderError(errorMsg, response.status);
+  }
+
+  const data = await response.json();
+  addUsage(usage, data.usage?.prompt_tokens, data.usage?.completion_tokens);
+
+  const responsePath = config.customResponsePath?.trim();
+  const selected = responsePath ? selectJsonPath(data, responsePath) : data.choices?.[0]?.message?.content;
+  if (selected === undefined && responsePath) {
+    throw createProviderError(`响应中找不到 ${responsePath}`, 422);
+  }
+  const content = typeof selected === 'string' ? selected : JSON.stringify(selected ?? '');
+
+  return structured ? parseStructuredTranslations(content, structured.count) : parseTranslations(content);
+}
+
+// 流式响应默认不带 usage，需要 stream_options 显式开启（其他兼容服务未必支持该字段）
+const STREAM_USAGE_PROVIDERS = new Set(['openai', 'azure', 'deepseek']);
+
+function buildOpenAIResponseFormat(config) {
+  if (!JSON_SCHEMA_PROVIDERS.has(config.provider)) {
+    return { type: 'json_object' };
+  }
+  return {
+    type: 'json_schema',
+    json_schema: { name: 'translations', strict: true, schema: STRUCTURED_OUTPUT_SCHEMA }
+  };
 }
 
 // Ollama 原生 API 调用
-async function callOllamaApi(systemPrompt, userPrompt, config, signal) {
+async function callOllamaApi(systemPrompt, userPrompt, config, signal, onPartial, structured, usage) {
   let endpoint = config.apiEndpoint;
 
   if (endpoint.includes('/v1/chat/completions')) {
@@ -581,7 +3188,7 @@ async function callOllamaApi(systemPrompt, userPrompt, config, signal) {
 
   console.log('[OpenImmerseTranslate] Ollama endpoint:', endpoint);
 
-  const response = await fetch(endpoint, {
+  const response = await providerFetch(config.provider, endpoint, {
     method: 'POST',
     signal,
     headers: {
@@ -594,7 +3201,8 @@ async function callOllamaApi(systemPrompt, userPrompt, config, signal) {
         { role: 'system', content: systemPrompt },
         { role: 'user', content: userPrompt }
       ],
-      stream: false,
+      stream: !!onPartial,
+      ...(structured ? { format: STRUCTURED_OUTPUT_SCHEMA } : {}),
       options: {
         temperature: config.temperature || 0.3
       }
@@ -609,25 +3217,37 @@ async function callOllamaApi(systemPrompt, userPrompt, config, signal) {
     
     if (response.status === 403) {
       // 提供更友好的错误信息和解决方案
-      throw new Error('Ollama 连接被拒绝。请在终端运行: OLLAMA_ORIGINS=* ollama serve');
+      throw createProviderError('Ollama 连接被拒绝。请在终端运行: OLLAMA_ORIGINS=* ollama serve', 403);
     }
     if (response.status === 404) {
-      throw new Error(`模型 "${config.modelName}" 未找到，请先运行: ollama pull ${config.modelName}`);
+      throw createProviderError(`模型 "${config.modelName}" 未找到，请先运行: ollama pull ${config.modelName}`, 404);
     }
     
-    throw new Error(`Ollama 错误: ${response.status} - ${errorText}`);
+    throw createProviderError(`Ollama 错误: ${response.status} - ${errorText}`, response.status);
+  }
+  
+  if (onPartial) {
+    return parseTranslations(await readOllamaStream(response, onPartial, usage));
   }
   
   const data = await response.json();
+  addUsage(usage, data.prompt_eval_count, data.eval_count);
   const content = data.message?.content || '';
   
   console.log('[OpenImmerseTranslate] Ollama response content:', content.substring(0, 100));
   
-  return parseTranslations(content);
+  return structured ? parseStructuredTranslations(content, structured.count) : parseTranslations(content);
 }
 
-async function callAnthropicApi(systemPrompt, userPrompt, config, signal) {
-  const response = await fetch(config.apiEndpoint, {
+// Anthropic 通过强制调用工具拿到符合 schema 的结构化结果
+const ANTHROPIC_TRANSLATION_TOOL = {
+  name: 'submit_translations',
+  description: 'Submit the translation of every input item, keyed by its id.',
+  input_schema: STRUCTURED_OUTPUT_SCHEMA
+};
+
+async function callAnthropicApi(systemPrompt, userPrompt, config, signal, onPartial, structured, usage) {
+  const response = await providerFetch(config.provider, config.apiEndpoint, {
     method: 'POST',
     signal,
     headers: {
@@ -641,24 +3261,226 @@ async function callAnthropicApi(systemPrompt, userPrompt, config, signal) {
       system: systemPrompt,
       messages: [
         { role: 'user', content: userPrompt }
-      ]
+      ],
+      ...(onPartial ? { stream: true } : {}),
+      ...(structured ? {
+        tools: [ANTHROPIC_TRANSLATION_TOOL],
+        tool_choice: { type: 'tool', name: ANTHROPIC_TRANSLATION_TOOL.name }
+      } : {})
     })
   });
   
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({}));
     const errorMsg = errorData.error?.message || `API错误: ${response.status}`;
-    throw new Error(errorMsg);
+    throw createProviderError(errorMsg, response.status);
+  }
+  
+  if (onPartial) {
+    return parseTranslations(await readAnthropicStream(response, onPartial, usage));
   }
   
   const data = await response.json();
+  addUsage(usage, data.usage?.input_tokens, data.usage?.output_tokens);
+  
+  if (structured) {
+    const toolUse = (data.content || []).find(block => block.type === 'tool_use');
+    return parseStructuredTranslations(toolUse?.input || '', structured.count);
+  }
+  
   const content = data.content?.[0]?.text || '';
   
   return parseTranslations(content);
 }
 
+/**
+ * Gemini generateContent 接口
+ * endpoint 可以是 API 根地址（.../v1beta），也可以是完整的 :generateContent 地址
+ */
+function buildGeminiUrl(config, stream) {
+  const method = stream ? 'streamGenerateContent' : 'generateContent';
+  const base = (config.apiEndpoint || PROVIDER_DEFAULTS_SW.gemini.endpoint).replace(/\/+$/, '');
+  const url = /:(stream)?generateContent/i.test(base)
+    ? base.replace(/:(stream)?generateContent/i, `:${method}`)
+    : `${base}/models/${encodeURIComponent(config.modelName)}:${method}`;
+  return stream ? `${url}${url.includes('?') ? '&' : '?'}alt=sse` : url;
+}
+
+/**
+ * 提取 Gemini 响应文本；被安全策略拦截时抛出错误（消息中包含 safety/blocked 以便 parseTranslationError 识别）
+ */
+function extractGeminiText(data) {
+  const blockReason = data.promptFeedback?.blockReason;
+  if (blockReason) {
+    throw new Error(`Gemini blocked the prompt by safety filter: ${blockReason}`);
+  }
+
+  const candidate = data.candidates?.[0];
+  if (!candidate) return '';
+
+  const text = (candidate.content?.parts || [])
+    .map(part => part.text || '')
+    .join('');
+
+  if (!text && ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'RECITATION'].includes(candidate.finishReason)) {
+    throw new Error(`Gemini response blocked by safety filter: ${candidate.finishReason}`);
+  }
+  return text;
+}
+
+async function readGeminiStream(response, onPartial, usage) {
+  const emit = createPartialEmitter(onPartial);
+  let content = '';
+  // usageMetadata 每个 chunk 都带，取最后一次的累计值
+  let usageMetadata = null;
+
+  for await (const data of readSseData(response)) {
+    const chunk = safeJsonParse(data);
+    if (!chunk) continue;
+    if (chunk.error) {
+      throw new Error(chunk.error.message || JSON.stringify(chunk.error));
+    }
+    if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+    const delta = extractGeminiText(chunk);
+    if (delta) {
+      content += delta;
+      emit(content);
+    }
+  }
+
+  addUsage(usage, usageMetadata?.promptTokenCount, usageMetadata?.candidatesTokenCount);
+  return content;
+}
+
+async function callGeminiApi(systemPrompt, userPrompt, config, signal, onPartial, structured, usage) {
+  const response = await providerFetch(config.provider, buildGeminiUrl(config, !!onPartial), {
+    method: 'POST',
+    signal,
+    headers: {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': config.apiKey
+    },
+    body: JSON.stringify({
+      systemInstruction: {
+        parts: [{ text: systemPrompt }]
+      },
+      contents: [
+        { role: 'user', parts: [{ text: userPrompt }] }
+      ],
+      generationConfig: {
+        maxOutputTokens: config.maxTokens || 2048,
+        temperature: config.temperature || 0.3,
+        ...(structured ? {
+          responseMimeType: 'application/json',
+          responseSchema: GEMINI_RESPONSE_SCHEMA
+        } : {})
+      }
+    })
+  });
+  
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    // 带上状态码，便于按 429/5xx 分类
+    const errorMsg = errorData.error?.message
+      ? `Gemini ${response.status}: ${errorData.error.message}`
+      : `API错误: ${response.status}`;
+    throw createProviderError(errorMsg, response.status);
+  }
+  
+  if (onPartial) {
+    return parseTranslations(await readGeminiStream(response, onPartial, usage));
+  }
+  
+  const data = await response.json();
+  addUsage(usage, data.usageMetadata?.promptTokenCount, data.usageMetadata?.candidatesTokenCount);
+  const content = extractGeminiText(data);
+  return structured ? parseStructuredTranslations(content, structured.count) : parseTranslations(content);
+}
+
+// Gemini 的 responseSchema 是 OpenAPI 子集，不支持 additionalProperties
+const GEMINI_RESPONSE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    translations: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          id: { type: 'STRING' },
+          text: { type: 'STRING' }
+        },
+        required: ['id', 'text']
+      }
+    }
+  },
+  required: ['translations']
+};
+
 // parseTranslations() and buildTranslationPrompt() are now in shared/providers.js
 
+// ==================== 模型列表 ====================
+const MODEL_LIST_TIMEOUT = 10000;
+
+/**
+ * 由聊天接口地址推出模型列表地址
+ * Ollama：http://host:11434/api/chat → /api/tags；OpenAI 兼容：…/chat/completions → …/models
+ */
+function buildModelListUrl(config) {
+  const endpoint = (config.apiEndpoint || '').trim().replace(/\/+$/, '');
+  if (config.provider === 'ollama') {
+    return endpoint.replace(/\/(api|v1)(\/.*)?$/, '') + '/api/tags';
+  }
+  if (/\/chat\/completions$/.test(endpoint)) {
+    return endpoint.replace(/\/chat\/completions$/, '/models');
+  }
+  return endpoint + '/models';
+}
+
+/**
+ * 获取可用模型名称（按字母排序去重）
+ * @returns {Promise<{models: string[]}|{error: string}>}
+ */
+async function handleListModels(config) {
+  if (!config?.apiEndpoint) {
+    return { error: 'Missing API endpoint' };
+  }
+
+  const headers = { 'Accept': 'application/json' };
+
+  try {
+    let url = buildModelListUrl(config);
+    if (config.provider === 'custom') {
+      url = applyCustomAuth(config, url, headers);
+    } else if (config.provider !== 'ollama' && config.apiKey && config.apiKey.trim()) {
+      headers['Authorization'] = `Bearer ${config.apiKey}`;
+    }
+
+    const response = await providerFetch(config.provider, url, {
+      headers,
+      signal: AbortSignal.timeout(MODEL_LIST_TIMEOUT)
+    });
+
+    if (!response.ok) {
+      if (config.provider === 'ollama' && response.status === 403) {
+        return { error: 'Ollama 连接被拒绝。请在终端运行: OLLAMA_ORIGINS=* ollama serve' };
+      }
+      return { error: `HTTP ${response.status}` };
+    }
+
+    const data = await response.json();
+    // Ollama: { models: [{ name }] }；OpenAI 兼容: { data: [{ id }] }
+    const entries = config.provider === 'ollama' ? data.models : data.data;
+    const names = (Array.isArray(entries) ? entries : [])
+      .map(entry => entry?.name || entry?.id)
+      .filter(name => typeof name === 'string' && name);
+
+    return { models: [...new Set(names)].sort((a, b) => a.localeCompare(b)) };
+  } catch (error) {
+    console.warn('[OpenImmerseTranslate] List models failed:', error.message);
+    return { error: error.name === 'TimeoutError' ? 'Request timed out' : error.message };
+  }
+}
+
 // ==================== 测试 API ====================
 async function handleTestApi(config) {
   const testPrompt = 'Hello';
@@ -667,7 +3489,7 @@ async function handleTestApi(config) {
     const langNames = { 'zh-CN': '简体中文', 'en': 'English' };
     const targetLang = langNames[config.targetLang] || '简体中文';
     
-    await rateLimiter.acquire();
+    await rateLimiter.acquire(config.provider);
     
     try {
       switch (config.provider) {
@@ -678,6 +3500,16 @@ async function handleTestApi(config) {
         case 'anthropic':
           await callAnthropicApi(`翻译成${targetLang}`, testPrompt, config);
           break;
+        case 'gemini':
+          await callGeminiApi(`翻译成${targetLang}`, testPrompt, config);
+          break;
+        case 'deepl':
+        case 'baidu':
+        case 'youdao':
+        case 'tencent':
+        case 'libretranslate':
+          await MT_API_CALLERS[config.provider]([testPrompt], config);
+          break;
         case 'ollama':
           await callOllamaApi(`翻译成${targetLang}`, testPrompt, config);
           break;
@@ -696,26 +3528,31 @@ async function handleTestApi(config) {
 
 // ==================== 配置组装（兼容新的 modular storage）====================
 async function getFullConfigForContextMenu() {
-  const result = await chrome.storage.sync.get(['globalConfig', 'providerConfigs']);
+  const result = await chrome.storage.sync.get(['globalConfig', 'providerConfigs', 'providerProfiles']);
   const global = { ...DEFAULT_GLOBAL_CONFIG, ...(result.globalConfig || {}) };
-  const providerId = global.provider || 'google';
-  const providerSaved = (result.providerConfigs || {})[providerId] || {};
-  const providerDefaults = PROVIDER_DEFAULTS_SW[providerId] || PROVIDER_DEFAULTS_SW.custom;
+  const profile = findActiveProfile(global, result.providerProfiles);
+  const providerId = profile?.provider || global.provider || 'google';
+  // 档案中的字段覆盖该 provider 的已保存配置
+  const providerSaved = { ...((result.providerConfigs || {})[providerId] || {}), ...(profile?.config || {}) };
 
   return {
-    provider: providerId,
-    apiEndpoint: providerSaved.endpoint || providerDefaults.endpoint,
-    apiKey: providerSaved.apiKey || '',
-    modelName: providerSaved.model || providerDefaults.model,
+    ...getProviderRuntimeConfig(providerId, providerSaved),
     sourceLang: global.sourceLang || 'auto',
     targetLang: global.targetLang || 'zh-CN',
     translationStyle: global.translationStyle || 'accurate',
     showOriginal: global.showOriginal !== false,
     autoDetect: global.autoDetect !== false,
     customPrompt: global.customPrompt || '',
-    maxTokens: global.maxTokens || 2048,
-    temperature: global.temperature || 0.3,
-    maxConcurrent: clampMaxConcurrentFromConfig(global.maxConcurrent)
+    maxTokens: providerSaved.maxTokens || global.maxTokens || 2048,
+    temperature: providerSaved.temperature || global.temperature || 0.3,
+    maxConcurrent: clampMaxConcurrentFromConfig(global.maxConcurrent),
+    enableCache: global.enableCache !== false,
+    enableStreaming: global.enableStreaming !== false,
+    structuredOutput: global.structuredOutput === true,
+    contextMode: global.contextMode === true,
+    richText: global.richText === true,
+    protectedPatterns: Array.isArray(global.protectedPatterns) ? global.protectedPatterns : [],
+    fallbackProviders: Array.isArray(global.fallbackProviders) ? global.fallbackProviders : []
   };
 }
 
@@ -741,9 +3578,9 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
     case 'translatePage': {
       const config = await getFullConfigForContextMenu();
 
-      // 检查是否需要 API Key
+      // 检查是否需要 API Key / App ID
       const providerDefaults = PROVIDER_DEFAULTS_SW[config.provider] || PROVIDER_DEFAULTS_SW.custom;
-      if (providerDefaults.needsApiKey && !config.apiKey) {
+      if ((providerDefaults.needsApiKey && !config.apiKey) || (checkNeedsAppId(config.provider) && !config.appId)) {
         chrome.action.openPopup();
         return;
       }
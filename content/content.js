@@ -158,16 +158,24 @@ const CONFIG = {
 
   // 🚀 流式翻译配置（核心优化）
   MAX_CONCURRENT: 6, // 默认并发（可被 globalConfig.maxConcurrent 覆盖）
-  SINGLE_TRANSLATE: true, // 启用单条翻译模式（流式显示）
-  BATCH_SIZE: 4, // 每个批次最多合并的文本块数
-  BATCH_MAX_CHARS: 2000, // 一个批次的最大字符数
-  BATCH_MAX_DISTANCE: 400, // 批次内元素最大 Y 坐标距离(px)
+  SINGLE_TRANSLATE: true, // 启用单条翻译模式（流式显示）；结构化输出或原生批量接口时改为真正批量
+  // 批次大小按 token 预算决定（见 shared/providers.js getBatchTokenBudget）
+  VISIBLE_BUDGET_RATIO: 0.25, // 可见内容只用预算的一部分，快速显示
+  BATCH_DISTANCE_RATIO: 0.5, // 批次内元素最大 Y 坐标距离（视口高度的比例）
+  REQUEST_SAFETY_TIMEOUT: 300000, // 兜底超时(ms)，需大于 SW 侧 超时 × 重试次数
   SCAN_INTERVAL: 150, // 滚动扫描间隔(ms)
   SCROLL_DEBOUNCE: 100, // 滚动防抖(ms)
 
   // 动态内容
   MUTATION_DEBOUNCE: 200,
 
+  // 上下文模式
+  CONTEXT_HISTORY_SIZE: 200, // 保留的已翻译段落数（用于查找上一段）
+  CONTEXT_TEXT_LIMIT: 300, // 上下文中每段文字的最大长度
+
+  // 语言识别
+  LANG_SAMPLE_LENGTH: 2000, // 识别页面语言时采样的文字长度
+
   // 扫描限制
   MAX_VIEWPORT_SCAN: 300,
   MAX_QUEUE_SIZE: 300, // 队列最大长度（大页面需要更大容量）。低于阈值的低优先级项在满时会被静默丢弃，不会触发迁出日志和 pending 标记。
@@ -188,6 +196,13 @@ const CONFIG = {
   // 跳过的类名
   SKIP_CLASSES: ['oit-wrapper', 'oit-translation', 'oit-original', 'notranslate', 'no-translate'],
 
+  // 富文本模式：带 <gN> 标签翻译的行内元素；代码、图片等整体保留，以 <gN/> 表示
+  RICH_INLINE_TAGS: new Set([
+    'A', 'STRONG', 'B', 'EM', 'I', 'U', 'S', 'MARK', 'SMALL', 'SUB', 'SUP',
+    'DEL', 'INS', 'SPAN', 'ABBR', 'CITE', 'Q', 'TIME', 'DFN', 'FONT'
+  ]),
+  RICH_ATOMIC_TAGS: new Set(['CODE', 'KBD', 'SAMP', 'VAR', 'BR', 'WBR', 'IMG']),
+
   // 容器标签
   CONTAINER_TAGS: new Set([
     'DIV', 'SPAN', 'P', 'A', 'LI', 'TD', 'TH', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
@@ -347,6 +362,11 @@ class TranslationState {
     this.inflightRequests = new Map(); // element -> { requestId, abort, blocks }
     this.periodicScanTimer = null; // 定期扫描定时器
     this.requestIdCounter = 0; // 请求 ID 生成器
+    this.lastServedProvider = null; // 最近一次实际完成翻译的服务（用于备用服务切换提示）
+    this.lastDetectedLanguage = null; // provider 最近一次检测到的源语言
+    this.lastErrorMessage = null; // 最近一次输出到弹窗的错误（同类错误只提示一次）
+    this.translationHistory = []; // 已翻译段落 { element, source, translation }，上下文模式使用
+    this.richElements = new WeakSet(); // 富文本块元素，其内部的链接等不再单独翻译
   }
 
   reset() {
@@ -370,6 +390,9 @@ class TranslationState {
     this.pendingElements.clear();
     this.translatingElements.clear();
     this.inflightRequests.clear();
+    this.lastServedProvider = null;
+    this.lastDetectedLanguage = null;
+    this.lastErrorMessage = null;
 
     if (this.scrollTimer) {
       clearTimeout(this.scrollTimer);
@@ -400,6 +423,7 @@ class TranslationState {
   fullReset() {
     this.reset();
     this.processedTexts.clear();
+    this.translationHistory = [];
     // completedElements 是 WeakSet，会自动清理
   }
 }
@@ -449,7 +473,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ 
         isTranslating: state.isActive,
         translatedCount: state.translatedCount,
-        hasTranslations: hasTranslations
+        hasTranslations: hasTranslations,
+        pageLanguage: detectPageLanguage()
       });
       break;
     case 'showFab':
@@ -661,6 +686,136 @@ function reorderQueue() {
   }
 }
 
+/**
+ * 附上页面信息，供提示词模板中的 {pageTitle} / {domain} 使用
+ */
+function withPageContext(config) {
+  return { ...config, pageTitle: document.title || '', domain: location.hostname };
+}
+
+// ==================== 上下文模式 ====================
+
+/**
+ * 记录已翻译段落，供后续批次作为"上一段"上下文
+ */
+function rememberTranslation(block, translation) {
+  const history = state.translationHistory;
+  history.push({
+    element: block.element,
+    source: block.richNodes ? stripRichTags(block.text) : block.text,
+    translation: block.richNodes ? stripRichTags(translation) : translation
+  });
+  if (history.length > CONFIG.CONTEXT_HISTORY_SIZE) {
+    history.splice(0, history.length - CONFIG.CONTEXT_HISTORY_SIZE);
+  }
+}
+
+function truncateContextText(text) {
+  const normalized = (text || '').replace(/\s+/g, ' ').trim();
+  return normalized.length > CONFIG.CONTEXT_TEXT_LIMIT
+    ? normalized.slice(0, CONFIG.CONTEXT_TEXT_LIMIT) + '…'
+    : normalized;
+}
+
+/**
+ * 在文档顺序上位于 element 之前（不含其祖先）
+ */
+function isBeforeInDocument(node, element) {
+  if (node === element || node.contains(element)) return false;
+  return Boolean(node.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING);
+}
+
+/**
+ * 元素的原文：已翻译过的取记录的原文，否则去掉插件插入的译文节点
+ */
+function getSourceText(element) {
+  const record = state.translationHistory.find(r => r.element === element);
+  if (record) return record.source;
+  if (!element.querySelector('.oit-translation')) return element.textContent;
+  const clone = element.cloneNode(true);
+  clone.querySelectorAll('.oit-translation').forEach(el => el.remove());
+  return clone.textContent;
+}
+
+/**
+ * 查找元素所在章节的标题（文档顺序上最近的前置 h1-h6）
+ */
+function findNearestHeading(element) {
+  const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
+  for (let i = headings.length - 1; i >= 0; i--) {
+    const heading = headings[i];
+    if (heading.closest('.oit-translation')) continue;
+    if (isBeforeInDocument(heading, element)) return heading;
+  }
+  return null;
+}
+
+/**
+ * 查找文档顺序上最近的前一个已翻译段落
+ */
+function findPreviousTranslation(element) {
+  let previous = null;
+  for (const record of state.translationHistory) {
+    if (!record.element.isConnected || !isBeforeInDocument(record.element, element)) continue;
+    if (!previous || isBeforeInDocument(previous.element, record.element)) previous = record;
+  }
+  return previous;
+}
+
+/**
+ * 组装本批次的上下文：页面标题、所在章节标题、上一段原文与译文
+ */
+function buildPageContext(element) {
+  const heading = findNearestHeading(element);
+  const previous = findPreviousTranslation(element);
+  const context = {
+    title: truncateContextText(document.title),
+    heading: heading ? truncateContextText(getSourceText(heading)) : '',
+    previousSource: previous ? truncateContextText(previous.source) : '',
+    previousTranslation: previous ? truncateContextText(previous.translation) : ''
+  };
+  // 上一段就是这个标题时不重复
+  if (previous && previous.element === heading) context.heading = '';
+  return context;
+}
+
+// ==================== 语言识别 ====================
+
+/**
+ * 识别页面主要语言（标题 + 正文采样，见 shared/langdetect.js）
+ */
+function detectPageLanguage() {
+  if (!document.body) return null;
+  let sample = document.title || '';
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => {
+      const parent = node.parentElement;
+      if (!parent || CONFIG.SKIP_TAGS.has(parent.tagName)) return NodeFilter.FILTER_REJECT;
+      if (parent.closest('.oit-translation')) return NodeFilter.FILTER_REJECT;
+      return NodeFilter.FILTER_ACCEPT;
+    }
+  });
+  while (sample.length < CONFIG.LANG_SAMPLE_LENGTH && walker.nextNode()) {
+    const text = walker.currentNode.textContent.trim();
+    if (text) sample += ' ' + text;
+  }
+  return detectLanguage(sample.slice(0, CONFIG.LANG_SAMPLE_LENGTH))?.lang || null;
+}
+
+/**
+ * 源语言为自动检测时识别本批次的语言，用严格门槛：每一块都要可靠识别且结果一致，
+ * 否则（含太短无法判断的块）返回 null，交给服务自行检测；与目标语言相同时也返回 null
+ */
+function detectBatchLanguage(blocks) {
+  let lang = null;
+  for (const block of blocks) {
+    const detected = detectLanguage(block.richNodes ? stripRichTags(block.text) : block.text, { strict: true });
+    if (!detected || (lang && detected.lang !== lang)) return null;
+    lang = detected.lang;
+  }
+  return lang === state.config.targetLang ? null : lang;
+}
+
 /**
  * 开始翻译 - 流式翻译策略
  * 🚀 核心优化：单条翻译 + 并发控制 + 即时显示
@@ -672,7 +827,7 @@ function startTranslation(config) {
   }
   
   state.reset();
-  state.config = config;
+  state.config = withPageContext(config);
   state.isActive = true;
   
   const startTime = performance.now();
@@ -737,11 +892,27 @@ function addToQueue(block) {
   return false;
 }
 
+/**
+ * 结构化输出按 id 回填译文，批量请求不会错位，可以关闭单条模式
+ */
+function isStructuredBatching() {
+  return state.config?.structuredOutput === true && checkSupportsStructuredOutput(state.config.provider);
+}
+
+/**
+ * 结构化输出或原生批量接口（如 Google）逐条返回译文，可以关闭单条模式
+ */
+function canBatchTranslate() {
+  return isStructuredBatching() || checkSupportsBatchRequests(state.config?.provider);
+}
+
 /**
  * 从队列取出一个批次（空间邻近的块合并翻译）
- * SINGLE_TRANSLATE 或“当前可见”时使用更小的批次，实现所见所得的快速反馈
+ * 按当前模型的 token 预算装箱；SINGLE_TRANSLATE 或“当前可见”时使用更小的批次，实现所见所得的快速反馈
  */
 function dequeueBatch() {
+  const singleMode = CONFIG.SINGLE_TRANSLATE && !canBatchTranslate();
+
   if (state.translationQueue.length === 0) return null;
 
   let first = state.translationQueue.dequeue();
@@ -753,19 +924,23 @@ function dequeueBatch() {
   if (!first) return null;
 
   const batch = [first];
+  if (singleMode) return batch;
+
   const firstRect = first.element.getBoundingClientRect();
   const firstCenter = firstRect.top + firstRect.height / 2;
-  let totalChars = first.text.length;
+  let totalTokens = estimateBlockTokens(first.text);
 
-  // 决定本次批次上限：可见内容或单条模式用小批次，追求低延迟
+  // 决定本次批次预算：可见内容用小批次，追求低延迟
   const vh = window.innerHeight;
   const headStrictlyVisible = firstRect.top >= -20 && firstRect.bottom <= vh + 20;
-  let maxBatch = CONFIG.SINGLE_TRANSLATE ? 1 : CONFIG.BATCH_SIZE;
-  if (headStrictlyVisible && !CONFIG.SINGLE_TRANSLATE) {
-    maxBatch = 2; // 可见的优先用 1~2 个，快速显示
+  let tokenBudget = getBatchTokenBudget(state.config?.provider, state.config?.modelName);
+  let distanceLimit = vh * CONFIG.BATCH_DISTANCE_RATIO;
+  if (headStrictlyVisible) {
+    tokenBudget = Math.max(1, Math.floor(tokenBudget * CONFIG.VISIBLE_BUDGET_RATIO));
+    distanceLimit /= 2;
   }
 
-  while (batch.length < maxBatch && state.translationQueue.length > 0) {
+  while (state.translationQueue.length > 0) {
     const next = state.translationQueue.peek();
     if (!next) break;
 
@@ -778,19 +953,24 @@ function dequeueBatch() {
     // 空间邻近：与首个块的 Y 中心距离不超过阈值（可见时收紧）
     const nextRect = next.element.getBoundingClientRect();
     const nextCenter = nextRect.top + nextRect.height / 2;
-    const distanceLimit = headStrictlyVisible ? Math.min(200, CONFIG.BATCH_MAX_DISTANCE) : CONFIG.BATCH_MAX_DISTANCE;
     if (Math.abs(nextCenter - firstCenter) > distanceLimit) break;
 
-    // 总长度限制
-    if (totalChars + next.text.length > CONFIG.BATCH_MAX_CHARS) break;
+    // token 预算限制
+    const nextTokens = estimateBlockTokens(next.text);
+    if (totalTokens + nextTokens > tokenBudget) break;
 
     batch.push(state.translationQueue.dequeue());
-    totalChars += next.text.length;
+    totalTokens += nextTokens;
   }
 
   return batch;
 }
 
+// 每条文本另有分隔符 / JSON id 的开销
+function estimateBlockTokens(text) {
+  return estimateTokens(text) + PER_ITEM_OVERHEAD_TOKENS;
+}
+
 /**
  * 处理翻译队列（优先级 + 事件驱动 + 批处理）
  */
@@ -829,6 +1009,121 @@ async function processQueue() {
   }
 }
 
+/**
+ * 兜底超时：单次请求超时和重试由 service worker 控制，这里只防止 SW 异常挂起。
+ * 用户调大了单次超时时按 尝试次数 × (单次超时 + 最长退避) 放宽，不抢在 SW 的重试之前放弃
+ */
+function getRequestSafetyTimeout(config) {
+  const perAttempt = config.requestTimeout > 0 ? config.requestTimeout * 1000 : 0;
+  const attempts = (Number.isInteger(config.maxRetries) && config.maxRetries >= 0 ? config.maxRetries : 2) + 1;
+  return Math.max(CONFIG.REQUEST_SAFETY_TIMEOUT, attempts * (perAttempt + 20000));
+}
+
+/**
+ * 通过长连接请求流式翻译，返回值与 sendMessage 的响应格式一致
+ * 超时按"空闲"计算：每收到一段部分译文就重新计时；与非流式请求共用兜底超时
+ */
+function requestStreamingTranslation(requestId, texts, config, onPartial) {
+  return new Promise((resolve, reject) => {
+    const port = chrome.runtime.connect({ name: 'oit-translate-stream' });
+    let settled = false;
+    let idleTimer = null;
+
+    const finish = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(idleTimer);
+      try {
+        port.disconnect();
+      } catch (e) {
+        // 端口可能已断开
+      }
+      callback(value);
+    };
+
+    const safetyTimeout = getRequestSafetyTimeout(config);
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        finish(reject, new Error(`Translation request timeout after ${safetyTimeout / 1000}s`));
+      }, safetyTimeout);
+    };
+
+    port.onMessage.addListener((message) => {
+      switch (message?.type) {
+        case 'partial':
+          resetIdleTimer();
+          onPartial(message.translations || []);
+          break;
+        case 'done': {
+          const { type, ...result } = message;
+          finish(resolve, result);
+          break;
+        }
+        case 'cancelled':
+          finish(resolve, { cancelled: true });
+          break;
+        case 'error':
+          finish(resolve, { error: message.error });
+          break;
+      }
+    });
+
+    // SW 被终止时端口断开，按无响应处理
+    port.onDisconnect.addListener(() => finish(resolve, null));
+
+    resetIdleTimer();
+    port.postMessage({ action: 'translate', requestId, texts, config });
+  });
+}
+
+/**
+ * 主服务失败、由备用服务完成翻译时输出到 popup 控制台（服务切换时只提示一次）
+ */
+function reportServedProvider(provider) {
+  if (!provider || provider === state.lastServedProvider) return;
+  const isFallback = provider !== state.config.provider;
+  const wasFallback = state.lastServedProvider && state.lastServedProvider !== state.config.provider;
+  state.lastServedProvider = provider;
+
+  if (isFallback) {
+    sendLog(`🔀 ${getProviderDisplayName(state.config.provider)} 不可用，已由 ${getProviderDisplayName(provider)} 完成翻译`, 'warning');
+  } else if (wasFallback) {
+    sendLog(`✅ 已恢复使用 ${getProviderDisplayName(provider)}`, 'info');
+  }
+}
+
+/**
+ * 输出检测到的源语言（本地识别，或 provider 返回的，如 LibreTranslate 的 source: auto），变化时才提示
+ */
+function reportDetectedLanguage(lang) {
+  if (!lang || lang === state.lastDetectedLanguage) return;
+  state.lastDetectedLanguage = lang;
+  sendLog(`🔎 检测到源语言: ${lang}`, 'info');
+}
+
+/**
+ * 批次译文条数与原文不符时，后台已逐条重译；在弹窗控制台记录一次
+ */
+function reportBatchRepair(repaired) {
+  if (!repaired) return;
+  sendLog(`🩹 批量译文条数不符（期望 ${repaired.expected} 条，收到 ${repaired.received} 条），已逐条重新翻译`, 'warning');
+}
+
+/**
+ * 翻译失败时在弹窗控制台提示；服务不可用（熔断）期间每个块都会失败，同类错误只提示一次
+ */
+function reportTranslationError(errorMsg) {
+  const message = parseFriendlyError(errorMsg);
+  if (message === state.lastErrorMessage) return;
+  state.lastErrorMessage = message;
+  sendLog(message, 'error');
+}
+
+function getProviderDisplayName(provider) {
+  return PROVIDER_DEFAULTS[provider]?.displayName || provider;
+}
+
 /**
  * 批次翻译（异步，不阻塞）
  */
@@ -867,53 +1162,104 @@ async function translateBatch(blocks) {
   const requestId = `req_${++state.requestIdCounter}_${Date.now()}`;
   state.inflightRequests.set(primaryElement, { requestId, blocks: pendingBlocks });
 
+  // 放弃本批次：撤掉流式渲染出的半成品译文并清除标记
+  const abandonBlocks = () => {
+    pendingBlocks.forEach(b => {
+      discardStreamingTranslation(b);
+      removePendingMark(b.element);
+    });
+  };
+
   try {
-    console.log(`[OIT] 📤 send translate: ${pendingBlocks.length} texts, requestId: ${requestId}`);
-    // 🔥 30s timeout: 防止 API 挂起导致所有槽位永久阻塞
-    const response = await Promise.race([
-      chrome.runtime.sendMessage({
-        action: 'translate',
-        requestId,
-        texts: pendingBlocks.map(b => b.text),
-        config: state.config
-      }),
-      new Promise((_, reject) => setTimeout(() => reject(new Error('Translation request timeout after 30s')), 30000))
-    ]);
+    const texts = pendingBlocks.map(b => b.text);
+    const requestConfig = { ...state.config };
+    if (state.config.contextMode) requestConfig.pageContext = buildPageContext(primaryElement);
+    if (state.config.sourceLang === 'auto') {
+      const batchLang = detectBatchLanguage(pendingBlocks);
+      if (batchLang) {
+        requestConfig.sourceLang = batchLang;
+        reportDetectedLanguage(batchLang);
+      }
+    }
+    const useStreaming = state.config.enableStreaming !== false &&
+      checkSupportsStreaming(state.config.provider) &&
+      !isStructuredBatching();
+    const safetyTimeout = getRequestSafetyTimeout(requestConfig);
+    console.log(`[OIT] 📤 send translate: ${pendingBlocks.length} texts, requestId: ${requestId}, streaming: ${useStreaming}`);
+
+    const response = useStreaming
+      ? await requestStreamingTranslation(requestId, texts, requestConfig, (partial) => {
+        if (!state.isActive || state.shouldStop) return;
+        pendingBlocks.forEach((block, index) => {
+          if (partial[index]) renderStreamingTranslation(block, partial[index]);
+        });
+      })
+      // 单次请求超时和重试由 service worker 控制；这里只兜底 SW 异常挂起，防止槽位永久阻塞
+      : await Promise.race([
+        chrome.runtime.sendMessage({
+          action: 'translate',
+          requestId,
+          texts,
+          config: requestConfig
+        }),
+        new Promise((_, reject) => setTimeout(
+          () => reject(new Error(`Translation request timeout after ${safetyTimeout / 1000}s`)),
+          safetyTimeout
+        ))
+      ]);
     console.log(`[OIT] 📥 response: ${response ? (response.cancelled ? 'cancelled' : (response.translations?.length || 0) + ' translations') : 'null'}`);
 
     state.inflightRequests.delete(primaryElement);
 
     if (!response) {
       console.warn('[OIT] No response from background (SW may have terminated)');
-      pendingBlocks.forEach(b => removePendingMark(b.element));
+      abandonBlocks();
       return;
     }
 
     if (response.cancelled) {
-      pendingBlocks.forEach(b => removePendingMark(b.element));
+      abandonBlocks();
       return;
     }
 
     if (!state.isActive || state.shouldStop) {
-      pendingBlocks.forEach(b => removePendingMark(b.element));
+      abandonBlocks();
       return;
     }
 
     if (response.error) {
       console.error('[OIT] Translation error:', response.error);
-      pendingBlocks.forEach(b => removePendingMark(b.element));
+      reportTranslationError(response.error);
+      abandonBlocks();
       return;
     }
 
+    state.lastErrorMessage = null;
+    reportServedProvider(response.provider);
+    reportDetectedLanguage(response.detectedLanguage);
+    reportBatchRepair(response.repaired);
+
     const translations = response.translations || [];
+    if (translations.length !== pendingBlocks.length) {
+      // 条数仍对不上时宁可不显示，也不按位置错配
+      sendLog(`⚠️ 译文条数不符（期望 ${pendingBlocks.length} 条，收到 ${translations.length} 条），已丢弃本批次`, 'error');
+      abandonBlocks();
+      return;
+    }
     pendingBlocks.forEach((block, index) => {
       const translation = translations[index];
       if (translation && translation !== block.text && !isSameContent(block.text, translation)) {
-        applyTranslation(block, translation);
+        if (block.streamEl) {
+          finishStreamingTranslation(block, translation);
+        } else {
+          applyTranslation(block, translation);
+        }
         state.translatedCount++;
         state.completedElements.add(block.element);
+        if (state.config.contextMode) rememberTranslation(block, translation);
       } else {
         // 翻译缺失或与原文相同：清除标记但不标记为完成，允许后续重试
+        discardStreamingTranslation(block);
         removePendingMark(block.element);
         // 不加入 completedElements，允许后续重新收集和翻译
       }
@@ -933,7 +1279,7 @@ async function translateBatch(blocks) {
       return;
     }
     if (error.message?.toLowerCase().includes('abort')) {
-      pendingBlocks.forEach(b => removePendingMark(b.element));
+      abandonBlocks();
       return;
     }
 
@@ -942,7 +1288,7 @@ async function translateBatch(blocks) {
       chrome.runtime.sendMessage({ action: 'abortRequest', requestId }).catch(() => {});
     }
     console.error('[OIT] Translation failed:', error);
-    pendingBlocks.forEach(b => removePendingMark(b.element));
+    abandonBlocks();
   } finally {
     releaseSlot();
   }
@@ -1247,6 +1593,7 @@ function collectElementsWithTextOptimized(elements, blocks, viewportHeight, seen
 
     // 🔥 检查是否是已收集元素的子元素
     if (isChildOfCollected(el, collectedElements)) continue;
+    if (isInsideRichBlock(el)) continue;
 
     // 获取元素的完整文本内容（包括嵌套）
     const text = el.textContent?.trim();
@@ -1268,6 +1615,16 @@ function collectElementsWithTextOptimized(elements, blocks, viewportHeight, seen
     const boilerplateThreshold = isPrimaryTagHere ? 12 : 25;
     if (isInBoilerplateContainer(el) && text.length < boilerplateThreshold) continue;
 
+    // 富文本模式：含链接、加粗、行内代码的段落整段带标签翻译
+    const richBlock = state.config?.richText ? createRichTextBlock(el) : null;
+    if (richBlock) {
+      if (seenInThisScan) seenInThisScan.add(text);
+      collectedElements.add(el);
+      state.richElements.add(el);
+      blocks.push(richBlock);
+      continue;
+    }
+
     // 检查是否有直接文本内容（不是纯容器）
     const directText = getDirectTextContent(el);
     const hasDirectText = directText && directText.length >= CONFIG.MIN_TEXT_LENGTH;
@@ -1411,6 +1768,7 @@ function collectLeafTextElements(blocks, viewportHeight, seenInThisScan) {
           return NodeFilter.FILTER_REJECT;
         }
         if (state.completedElements.has(parent)) return NodeFilter.FILTER_REJECT;
+        if (state.config?.richText && (state.richElements.has(parent) || isInsideRichBlock(parent))) return NodeFilter.FILTER_REJECT;
         
         // 🔥 检查父元素链是否已在本次扫描中被收集
         let ancestor = parent;
@@ -1931,6 +2289,7 @@ function parseFriendlyError(errorMsg) {
     errorServerError: '🔧 AI服务暂时不可用，请稍后重试',
     errorModelNotFound: '🤖 模型不存在，请检查模型名称',
     errorPermissionDenied: '🚫 没有权限访问此API',
+    errorContentBlocked: '🛡️ 内容被模型安全策略拦截',
     errorUnknown: '❓ 未知错误'
   };
   return EMOJI_MAP[result.key] || result.message;
@@ -1938,6 +2297,7 @@ function parseFriendlyError(errorMsg) {
 
 /**
  * 应用翻译到 DOM
+ * @returns {HTMLElement|undefined} 插入的 .oit-translation 元素（跳过时为空）
  */
 function applyTranslation(block, translation) {
   const { element, textNode, text, isTwitter, isAppend } = block;
@@ -1970,7 +2330,7 @@ function applyTranslation(block, translation) {
       translationEl.style.color = '#666666';
     }
     
-    translationEl.textContent = translation;
+    setTranslationContent(translationEl, block, translation);
     if (isBlockContainer) {
       translationEl.style.marginTop = '4px';
       translationEl.style.display = 'block';
@@ -1982,7 +2342,7 @@ function applyTranslation(block, translation) {
     
     element.appendChild(translationEl);
     element.classList.add('oit-wrapper');
-    return;
+    return translationEl;
   }
   
   // 常规文本节点替换处理
@@ -2010,6 +2370,7 @@ function applyTranslation(block, translation) {
   
   try {
     textNode.parentNode.replaceChild(wrapper, textNode);
+    return wrapper.querySelector('.oit-translation');
   } catch (e) {
     // 如果替换失败，使用追加模式
     console.warn('[OIT] Replace failed, using append mode');
@@ -2019,9 +2380,188 @@ function applyTranslation(block, translation) {
     translationEl.style.color = '#666666';
     parent.appendChild(translationEl);
     parent.classList.add('oit-wrapper');
+    return translationEl;
   }
 }
 
+// ==================== 富文本（保留行内标签）====================
+
+/**
+ * 段落的行内子元素序列化为 <gN>…</gN>（代码、图片等为 <gN/>），译后按编号重建，保留链接地址和格式
+ * 含块级元素或没有行内元素时返回 null，按普通方式翻译
+ */
+function createRichTextBlock(element) {
+  const richNodes = [];
+  const serialize = (parent) => {
+    let result = '';
+    for (const child of parent.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        result += child.textContent;
+        continue;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE) continue;
+
+      if (isRichAtomic(child)) {
+        richNodes.push(child);
+        result += `<g${richNodes.length}/>`;
+      } else if (CONFIG.RICH_INLINE_TAGS.has(child.tagName)) {
+        richNodes.push(child);
+        const id = richNodes.length;
+        const inner = serialize(child);
+        if (inner === null) return null;
+        result += `<g${id}>${inner}</g${id}>`;
+      } else {
+        return null;
+      }
+    }
+    return result;
+  };
+
+  const serialized = serialize(element);
+  if (serialized === null || richNodes.length === 0) return null;
+
+  const text = serialized.replace(/\s+/g, ' ').trim();
+  if (!stripRichTags(text).trim()) return null;
+  return { element, textNode: null, text, isAppend: true, richNodes };
+}
+
+function isRichAtomic(element) {
+  return CONFIG.RICH_ATOMIC_TAGS.has(element.tagName) ||
+    element.classList.contains('notranslate') ||
+    element.getAttribute('translate') === 'no';
+}
+
+// 关闭富文本模式后不再限制
+function isInsideRichBlock(element) {
+  if (!state.config?.richText) return false;
+  let parent = element.parentElement;
+  while (parent && parent !== document.body) {
+    if (state.richElements.has(parent)) return true;
+    parent = parent.parentElement;
+  }
+  return false;
+}
+
+function stripRichTags(text) {
+  return text.replace(/<\/?g\d+\/?>/g, '');
+}
+
+/**
+ * 按译文中的标签重建 DOM：开标签浅拷贝原元素（保留 href 等属性），<gN/> 深拷贝原样插入
+ * 标签缺失时对应格式丢失但文字保留；多余、重复或未知的标签忽略
+ */
+function buildRichTranslation(translation, richNodes) {
+  const fragment = document.createDocumentFragment();
+  const stack = [{ id: 0, node: fragment, atomic: false }];
+  const used = new Set();
+  const tagPattern = /<(\/?)g(\d+)(\/?)>/g;
+  // 流式输出可能停在半个标签上
+  const text = translation.replace(/<\/?(g\d*)?\/?$/, '');
+  let cursor = 0;
+  let match;
+
+  const appendText = (value) => {
+    const top = stack[stack.length - 1];
+    if (value && !top.atomic) top.node.appendChild(document.createTextNode(value));
+  };
+
+  while ((match = tagPattern.exec(text))) {
+    appendText(text.slice(cursor, match.index));
+    cursor = tagPattern.lastIndex;
+
+    const [, closing, idText, selfClosing] = match;
+    const id = Number(idText);
+    const source = richNodes[id - 1];
+    if (!source) continue;
+
+    if (closing) {
+      const index = stack.findLastIndex(entry => entry.id === id);
+      if (index > 0) stack.length = index;
+      continue;
+    }
+
+    const top = stack[stack.length - 1];
+    if (used.has(id) || top.atomic) continue;
+    used.add(id);
+
+    const atomic = isRichAtomic(source);
+    const clone = source.cloneNode(atomic);
+    // 译文中的拷贝不能与原文元素重复 id
+    if (clone.nodeType === Node.ELEMENT_NODE) {
+      clone.removeAttribute('id');
+      clone.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+    }
+    top.node.appendChild(clone);
+    // 模型把 <gN/> 写成成对标签时，标签内的文字丢弃（原文已整体保留）
+    if (!selfClosing) stack.push({ id, node: clone, atomic });
+  }
+  appendText(text.slice(cursor));
+  return fragment;
+}
+
+/**
+ * 写入译文：富文本块按标签重建，其余为纯文本
+ */
+function setTranslationContent(translationEl, block, translation) {
+  if (block.richNodes) {
+    translationEl.replaceChildren(buildRichTranslation(translation, block.richNodes));
+  } else {
+    translationEl.textContent = translation;
+  }
+}
+
+// ==================== 流式渲染 ====================
+
+/**
+ * 渲染部分译文：首次调用时按常规方式插入，之后只更新文本
+ */
+function renderStreamingTranslation(block, text) {
+  if (block.streamEl) {
+    if (block.streamEl.isConnected) setTranslationContent(block.streamEl, block, text);
+    return;
+  }
+  if (block.streamSkipped) return;
+
+  const translationEl = applyTranslation(block, text);
+  if (!translationEl) {
+    // 元素已被其他请求翻译，本批次不再渲染它
+    block.streamSkipped = true;
+    return;
+  }
+  translationEl.classList.add('oit-streaming');
+  block.streamEl = translationEl;
+}
+
+/**
+ * 用最终译文替换流式渲染的内容
+ */
+function finishStreamingTranslation(block, translation) {
+  const translationEl = block.streamEl;
+  block.streamEl = null;
+  setTranslationContent(translationEl, block, translation);
+  translationEl.classList.remove('oit-streaming');
+}
+
+/**
+ * 撤销流式渲染的半成品译文，恢复原始 DOM
+ */
+function discardStreamingTranslation(block) {
+  const translationEl = block.streamEl;
+  if (!translationEl) return;
+  block.streamEl = null;
+
+  const wrapper = translationEl.parentElement;
+  if (wrapper && block.textNode && !block.textNode.isConnected && wrapper.classList.contains('oit-wrapper')) {
+    // 替换模式：把包装元素换回原始文本节点
+    wrapper.replaceWith(block.textNode);
+  } else {
+    // 追加模式：移除追加的译文
+    translationEl.remove();
+    wrapper?.classList.remove('oit-wrapper');
+  }
+  translatedCheckCache.delete(block.element);
+}
+
 // ==================== 工具函数 ====================
 
 /**
@@ -2041,7 +2581,7 @@ function isElementVisible(element) {
 
 /**
  * 检查是否已是目标语言
- * 🔥 性能优化: 使用预编译正则表达式
+ * 🔥 性能优化: 中日韩按字符比例快速判断，其他语言交给 shared/langdetect.js
  */
 function isTargetLanguage(text) {
   const targetLang = state.config?.targetLang || 'zh-CN';
@@ -2063,7 +2603,8 @@ function isTargetLanguage(text) {
     return ratio > 0.3;
   }
 
-  return false;
+  // 判断错了会整块漏翻，用严格门槛：短文本（如 "API reference"）不跳过
+  return detectLanguage(text, { strict: true })?.lang === targetLang;
 }
 
 /**
@@ -2397,7 +2938,7 @@ async function showTranslationPanel(text, x, y) {
     const response = await chrome.runtime.sendMessage({
       action: 'translate',
       texts: [text],
-      config: config
+      config: withPageContext(config)
     });
 
     if (response.error) throw new Error(response.error);
@@ -2731,7 +3272,7 @@ async function handleFabClick() {
       return;
     }
     
-    // 🔥 检查是否需要 API Key（Google 和 Ollama 不需要）
+    // 🔥 检查是否需要 API Key（Google、Ollama、LibreTranslate 不需要）
     const needsApiKey = checkNeedsApiKey(config.provider);
     
     if (needsApiKey && !config.apiKey) {
@@ -2781,7 +3322,7 @@ async function handleFabClick() {
  */
 async function loadFullConfig() {
   const result = await safeChrome(
-    () => chrome.storage.sync.get(['globalConfig', 'providerConfigs']),
+    () => chrome.storage.sync.get(['globalConfig', 'providerConfigs', 'providerProfiles']),
     {} // 回退空对象
   );
   
@@ -2793,24 +3334,30 @@ async function loadFullConfig() {
   const globalConfig = result.globalConfig || {};
   const providerConfigs = result.providerConfigs || {};
   
-  const provider = globalConfig.provider || 'google';
-  const providerConfig = providerConfigs[provider] || {};
+  const profile = findActiveProfile(globalConfig, result.providerProfiles);
+  const provider = profile?.provider || globalConfig.provider || 'google';
+  // 档案中的字段覆盖该 provider 的已保存配置
+  const providerConfig = { ...(providerConfigs[provider] || {}), ...(profile?.config || {}) };
   
   // 返回与 popup 一致的配置格式
   return {
-    provider: provider,
-    apiEndpoint: providerConfig.endpoint || getDefaultEndpoint(provider),
-    apiKey: providerConfig.apiKey || '',
-    modelName: providerConfig.model || getDefaultModel(provider),
+    ...getProviderRuntimeConfig(provider, providerConfig),
     sourceLang: globalConfig.sourceLang || 'auto',
     targetLang: globalConfig.targetLang || 'zh-CN',
     translationStyle: globalConfig.translationStyle || 'accurate',
     showOriginal: globalConfig.showOriginal !== false,
     autoDetect: globalConfig.autoDetect !== false,
     customPrompt: globalConfig.customPrompt || '',
-    maxTokens: globalConfig.maxTokens || 2048,
-    temperature: globalConfig.temperature || 0.3,
-    maxConcurrent: clampMaxConcurrent(globalConfig.maxConcurrent)
+    maxTokens: providerConfig.maxTokens || globalConfig.maxTokens || 2048,
+    temperature: providerConfig.temperature || globalConfig.temperature || 0.3,
+    maxConcurrent: clampMaxConcurrent(globalConfig.maxConcurrent),
+    enableCache: globalConfig.enableCache !== false,
+    enableStreaming: globalConfig.enableStreaming !== false,
+    structuredOutput: globalConfig.structuredOutput === true,
+    contextMode: globalConfig.contextMode === true,
+    richText: globalConfig.richText === true,
+    protectedPatterns: Array.isArray(globalConfig.protectedPatterns) ? globalConfig.protectedPatterns : [],
+    fallbackProviders: Array.isArray(globalConfig.fallbackProviders) ? globalConfig.fallbackProviders : []
   };
 }
 
@@ -2831,7 +3378,14 @@ function getDefaultConfig() {
     customPrompt: '',
     maxTokens: 2048,
     temperature: 0.3,
-    maxConcurrent: CONFIG.MAX_CONCURRENT
+    maxConcurrent: CONFIG.MAX_CONCURRENT,
+    enableCache: true,
+    enableStreaming: true,
+    structuredOutput: false,
+    contextMode: false,
+    richText: false,
+    protectedPatterns: [],
+    fallbackProviders: []
   };
 }
 
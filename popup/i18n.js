@@ -25,11 +25,14 @@ const LANGUAGES = {
     // 配置预览
     currentConfig: '当前配置',
     translationService: '翻译服务',
+    pageLanguage: '页面语言',
     targetLanguage: '目标语言',
     apiStatus: 'API状态',
     configured: '已配置',
     notConfigured: '未配置',
     clickToConfigure: '点击配置 →',
+    providerUnavailable: '服务暂不可用（{seconds} 秒后重试）',
+    providerRecovering: '正在恢复…',
     
     // 设置页面
     settings: '设置',
@@ -43,30 +46,91 @@ const LANGUAGES = {
     serviceProvider: '服务提供商',
     apiAddress: 'API 地址 (Base URL)',
     apiKey: 'API 密钥 (API Key)',
+    profile: '配置档案',
+    profileDefault: '默认配置',
+    profileNamePlaceholder: '档案名称，如：DeepSeek 工作密钥',
+    profileHint: '档案保存服务、地址、密钥、模型、温度和最大 Token；选中档案后点击「保存」会更新该档案',
+    saveAsProfile: '另存为新档案',
+    deleteProfile: '删除档案',
+    profileNameRequired: '请先填写档案名称',
+    profileSwitched: '已切换到：{name}',
+    profileDeleted: '已删除档案：{name}',
     modelName: '模型名称',
+    refreshModels: '刷新模型列表',
+    modelListLoaded: '已获取 {count} 个可用模型，可输入关键字筛选',
+    modelNotInList: '当前模型不在可用的 {count} 个模型中，请从列表中选择',
+    modelListEmpty: '没有可用模型（Ollama 请先运行 ollama pull）',
+    modelListFailed: '获取模型列表失败：{error}',
+    customAuthStyle: '鉴权方式',
+    authStyleHeader: '自定义请求头',
+    authStyleQuery: '查询参数',
+    customHeaders: '额外请求头（可选）',
+    customHeadersHint: '每行一个，格式为 名称: 值',
+    customBodyTemplate: '请求体模板（可选）',
+    customBodyTemplateHint: 'JSON 格式，可用占位符 {{model}} {{systemPrompt}} {{userPrompt}} {{temperature}} {{maxTokens}}；留空使用 OpenAI 格式',
+    customResponsePath: '响应文本路径（可选）',
+    customResponsePathHint: '设置模板或路径后不使用流式输出',
+    invalidBodyTemplate: '请求体模板不是有效的 JSON',
+    azureResource: '资源名称 (Resource)',
+    azureDeployment: '部署名称 (Deployment)',
+    azureApiVersion: 'API 版本 (api-version)',
+    deeplFormality: '语气正式度 (Formality)',
+    formalityDefault: '默认',
+    formalityMore: '更正式',
+    formalityLess: '更随意',
+    deeplGlossaryId: '术语表 ID（可选）',
+    deeplGlossaryHint: '使用 DeepL 术语表时需要指定源语言',
+    deeplEndpointPlaceholder: '留空则按密钥自动选择 Free / Pro 地址',
+    appId: 'App ID / SecretId',
+    tencentRegion: '地域 (Region)',
+    rateLimits: '速率限制（每分钟）',
+    rpmPlaceholder: '请求数 RPM',
+    tpmPlaceholder: 'Token 数 TPM',
+    rateLimitsHint: '留空为不限。遇到 429 时会按 Retry-After 和 x-ratelimit-* 响应头自动暂停',
+    retrySettings: '超时与重试',
+    requestTimeoutPlaceholder: '超时（秒）',
+    maxRetriesPlaceholder: '重试次数',
+    retrySettingsHint: '留空使用默认值。网络错误、超时、429 和 5xx 会自动重试，密钥错误等不会',
     testConnection: '测试连接',
     testing: '测试中...',
     connectionSuccess: '✓ 连接成功！',
     connectionFailed: '连接失败',
+    fallbackProviders: '备用服务（按顺序尝试）',
+    fallbackNone: '不使用',
+    fallbackHint: '当前服务限流、余额不足或服务器故障时，依次改用备用服务翻译失败的内容。备用服务使用各自已保存的配置。',
     
     // 提供商
     providerDeepSeek: '⭐ DeepSeek (推荐)',
     providerGoogle: 'Google 翻译 (免费)',
+    providerDeepL: 'DeepL',
+    providerBaidu: '百度翻译',
+    providerYoudao: '有道智云',
+    providerTencent: '腾讯翻译',
     providerOpenAI: 'OpenAI (GPT-4o)',
     providerMoonshot: 'Moonshot Kimi',
     providerZhipu: '智谱 GLM',
     providerAnthropic: 'Anthropic Claude',
+    providerGemini: 'Google Gemini',
+    providerAzure: 'Azure OpenAI',
     providerOllama: 'Ollama (本地运行)',
+    providerLibreTranslate: 'LibreTranslate (自建)',
     providerCustom: '自定义 OpenAI 兼容 API',
     
     // 提供商提示
     hintDeepSeek: '⭐ 推荐！DeepSeek 深度求索，高性价比，翻译质量优秀',
     hintGoogle: '免费使用 Google 翻译，无需 API Key，适合轻度使用',
+    hintDeepL: 'DeepL 机器翻译，支持 Free 和 Pro 密钥，质量好、成本远低于大模型',
+    hintBaidu: '百度翻译开放平台，国内直连。App ID 和密钥在「管理控制台 - 开发者信息」中获取',
+    hintYoudao: '有道智云文本翻译，国内直连。填写应用 ID 和应用密钥',
+    hintTencent: '腾讯云机器翻译（TMT），国内直连，每月有免费额度。填写 SecretId 和 SecretKey',
     hintOpenAI: '使用 OpenAI 官方 API，需要 API Key',
     hintMoonshot: 'Moonshot Kimi，月之暗面出品',
     hintZhipu: '智谱 GLM，清华系大模型',
     hintAnthropic: '使用 Anthropic Claude API',
+    hintGemini: '使用 Google Gemini 原生 API，在 Google AI Studio 申请 API Key',
+    hintAzure: '使用 Azure OpenAI 服务，填写资源名称、部署名称和 API 版本，密钥在 Azure 门户的「密钥和终结点」中获取',
     hintOllama: '本地运行 Ollama，无需 API Key。首次使用请在终端运行: OLLAMA_ORIGINS=* ollama serve',
+    hintLibreTranslate: '自建 LibreTranslate 服务，填写服务地址（如 http://localhost:5000）。服务端开启了密钥校验时再填写 API Key',
     hintCustom: '填入任意 OpenAI 兼容的 API 地址和密钥',
     
     // 翻译设置
@@ -90,12 +154,73 @@ const LANGUAGES = {
     // 高级设置
     advancedSettings: '⚙️ 高级设置',
     customPrompt: '自定义翻译提示词（可选）',
-    customPromptPlaceholder: '留空使用默认提示词，可用 {targetLang} 代替目标语言',
+    customPromptPlaceholder: '留空使用默认提示词，可用 {targetLang} {sourceLang} {pageTitle} {domain} {style} {glossary} 等变量',
+    promptTemplates: '提示词模板库',
+    newTemplate: '＋ 新建模板',
+    noTemplate: '不使用模板（使用上方自定义提示词）',
+    followDefaultTemplate: '跟随默认模板',
+    templateNamePlaceholder: '模板名称，如：技术文档',
+    templatePromptPlaceholder: '例：你是{domain}的技术文档译者，把文本翻译成{targetLang}，保留代码和 API 名称。术语：{glossary}',
+    templateExamplesPlaceholder: 'few-shot 示例（可选），每行一条：\nPull request => 拉取请求',
+    templateVariablesHint: '可用变量：{targetLang} {sourceLang} {pageTitle} {domain} {style} {glossary}；示例每行一条「原文 => 译文」',
+    saveTemplate: '保存模板',
+    deleteTemplate: '删除模板',
+    defaultTemplate: '默认模板',
+    siteTemplate: '{site} 使用的模板',
+    templatePreview: '模板预览',
+    previewSamplePlaceholder: '输入一句示例原文',
+    previewSampleDefault: 'The quick brown fox jumps over the lazy dog.',
+    previewPrompt: '预览提示词',
+    tryTemplate: '用示例句试译',
+    tryTemplateFailed: '试译失败',
+    templateFieldsRequired: '请填写模板名称和提示词',
+    templateSaved: '模板已保存',
+    templateDeleted: '已删除模板：{name}',
+    glossary: '术语表',
+    glossaryGlobal: '全局（所有网站）',
+    glossarySite: '仅 {site}',
+    glossaryPlaceholder: '每行一条：原文,译文（也支持 Tab 分隔）\nSpark,Spark\nPull request,拉取请求',
+    glossaryCaseSensitive: '区分大小写',
+    glossaryWholeWord: '整词匹配',
+    glossaryCount: '共 {count} 条术语',
+    glossaryImported: '已导入 {count} 条术语，保存后生效',
+    glossaryImportEmpty: '文件中没有可用的术语',
+    importGlossary: '导入 CSV / TSV 文件',
+    saveGlossary: '保存术语表',
+    glossarySaved: '术语表已保存',
+    protectedPatterns: '不翻译的内容（正则表达式）',
+    protectedPatternsPlaceholder: '每行一条，例如：\n\\b[A-Z]+-\\d+\\b\n--[\\w-]+',
+    protectedPatternsHint: '每行一条规则，匹配的内容（版本号、命令行参数、工单号等）翻译时原样保留',
+    addPatternPresets: '添加常用规则',
+    invalidProtectedPattern: '无效的正则表达式：{pattern}',
     maxTokens: '最大 Token 数',
     maxConcurrent: '同时翻译路数',
     maxConcurrentHint: '页面同时发起的翻译请求数（1–12，过高可能触发 API 限流）',
     temperature: 'Temperature (创造性 0-1)',
     
+    // 翻译缓存
+    cacheHitRate: '缓存命中率',
+    cacheNoData: '暂无数据',
+    cacheInfo: '已缓存 {entries} 条（{size}），命中 {hits}/{total} 次',
+    enableCache: '缓存翻译结果（重复内容不再请求 API）',
+    enableStreaming: '流式显示译文（边生成边显示）',
+    structuredOutput: '结构化输出（JSON 模式，批量译文按编号对齐）',
+    contextMode: '上下文模式（附带页面标题、章节标题和上一段，提升连贯性）',
+    richText: '富文本模式（译文保留链接、加粗和行内代码）',
+    clearCache: '清空翻译缓存',
+    cacheCleared: '翻译缓存已清空',
+    clearCacheFailed: '清空缓存失败',
+    
+    // 用量与费用
+    usageSummary: '今日 {today} · 本月 {month}',
+    usageInfo: '本月已用 {input} 输入 / {output} 输出 Token',
+    priceTable: '价格表（美元 / 百万 Token）',
+    priceTablePlaceholder: 'gpt-4o-mini 0.15 0.6',
+    priceTableHint: '每行：模型名前缀 输入价格 输出价格，按最长前缀匹配；未列出的模型按 0 计；清空后恢复默认价格',
+    clearUsage: '清空用量统计',
+    usageCleared: '用量统计已清空',
+    clearUsageFailed: '清空用量统计失败',
+    
     // 错误提示
     pleaseConfigureApi: '请先配置 API 密钥',
     pleaseRefreshPage: '请刷新页面后重试',
@@ -134,6 +259,7 @@ const LANGUAGES = {
     errorInvalidResponse: 'AI 返回了无效的响应',
     errorModelNotFound: '🤖 模型不存在，请检查模型名称',
     errorPermissionDenied: '🚫 没有权限访问此 API',
+    errorContentBlocked: '🛡️ 内容被模型安全策略拦截',
     errorUnknown: '❓ 发生未知错误',
     
     // GitHub 链接
@@ -164,11 +290,14 @@ const LANGUAGES = {
     // Config preview
     currentConfig: 'Configuration',
     translationService: 'Service',
+    pageLanguage: 'Page Language',
     targetLanguage: 'Target Language',
     apiStatus: 'API Status',
     configured: 'Configured',
     notConfigured: 'Not configured',
     clickToConfigure: 'Click to configure →',
+    providerUnavailable: 'Unavailable (retry in {seconds}s)',
+    providerRecovering: 'Recovering…',
     
     // Settings page
     settings: 'Settings',
@@ -182,30 +311,91 @@ const LANGUAGES = {
     serviceProvider: 'Service Provider',
     apiAddress: 'API Address (Base URL)',
     apiKey: 'API Key',
+    profile: 'Profile',
+    profileDefault: 'Default',
+    profileNamePlaceholder: 'Profile name, e.g. DeepSeek work key',
+    profileHint: 'A profile stores the service, endpoint, key, model, temperature and max tokens. Select one and click Save to update it',
+    saveAsProfile: 'Save as new profile',
+    deleteProfile: 'Delete profile',
+    profileNameRequired: 'Enter a profile name first',
+    profileSwitched: 'Switched to: {name}',
+    profileDeleted: 'Profile deleted: {name}',
     modelName: 'Model Name',
+    refreshModels: 'Refresh model list',
+    modelListLoaded: '{count} models available, type to filter',
+    modelNotInList: 'Current model is not among the {count} available models, pick one from the list',
+    modelListEmpty: 'No models available (for Ollama, run ollama pull first)',
+    modelListFailed: 'Failed to load models: {error}',
+    customAuthStyle: 'Auth Style',
+    authStyleHeader: 'Custom header',
+    authStyleQuery: 'Query parameter',
+    customHeaders: 'Extra Headers (optional)',
+    customHeadersHint: 'One per line as Name: value',
+    customBodyTemplate: 'Request Body Template (optional)',
+    customBodyTemplateHint: 'JSON with placeholders {{model}} {{systemPrompt}} {{userPrompt}} {{temperature}} {{maxTokens}}; leave empty for the OpenAI format',
+    customResponsePath: 'Response Text Path (optional)',
+    customResponsePathHint: 'Streaming is disabled when a template or path is set',
+    invalidBodyTemplate: 'Request body template is not valid JSON',
+    azureResource: 'Resource Name',
+    azureDeployment: 'Deployment Name',
+    azureApiVersion: 'API Version (api-version)',
+    deeplFormality: 'Formality',
+    formalityDefault: 'Default',
+    formalityMore: 'More formal',
+    formalityLess: 'Less formal',
+    deeplGlossaryId: 'Glossary ID (optional)',
+    deeplGlossaryHint: 'DeepL glossaries require an explicit source language',
+    deeplEndpointPlaceholder: 'Leave empty to pick the Free / Pro endpoint from the key',
+    appId: 'App ID / SecretId',
+    tencentRegion: 'Region',
+    rateLimits: 'Rate Limits (per minute)',
+    rpmPlaceholder: 'Requests (RPM)',
+    tpmPlaceholder: 'Tokens (TPM)',
+    rateLimitsHint: 'Leave empty for no limit. 429 responses pause the queue per Retry-After and x-ratelimit-* headers',
+    retrySettings: 'Timeout & Retries',
+    requestTimeoutPlaceholder: 'Timeout (s)',
+    maxRetriesPlaceholder: 'Retries',
+    retrySettingsHint: 'Leave empty for defaults. Network errors, timeouts, 429 and 5xx are retried; invalid keys and similar errors are not',
     testConnection: 'Test Connection',
     testing: 'Testing...',
     connectionSuccess: '✓ Connected!',
     connectionFailed: 'Connection failed',
+    fallbackProviders: 'Fallback services (tried in order)',
+    fallbackNone: 'None',
+    fallbackHint: 'When the current service is rate-limited, out of balance or down, failed batches are retried on these services in order, using each one\'s saved settings.',
     
     // Providers
     providerDeepSeek: '⭐ DeepSeek (Recommended)',
     providerGoogle: 'Google Translate (Free)',
+    providerDeepL: 'DeepL',
+    providerBaidu: 'Baidu Translate',
+    providerYoudao: 'Youdao AI Cloud',
+    providerTencent: 'Tencent TMT',
     providerOpenAI: 'OpenAI (GPT-4o)',
     providerMoonshot: 'Moonshot Kimi',
     providerZhipu: 'Zhipu GLM',
     providerAnthropic: 'Anthropic Claude',
+    providerGemini: 'Google Gemini',
+    providerAzure: 'Azure OpenAI',
     providerOllama: 'Ollama (Local)',
+    providerLibreTranslate: 'LibreTranslate (Self-hosted)',
     providerCustom: 'Custom OpenAI Compatible API',
     
     // Provider hints
     hintDeepSeek: '⭐ Recommended! DeepSeek, cost-effective with excellent quality',
     hintGoogle: 'Free Google Translate, no API key needed, good for light use',
+    hintDeepL: 'DeepL machine translation. Works with Free and Pro keys; great quality at a fraction of LLM cost',
+    hintBaidu: 'Baidu Fanyi open platform, reachable in mainland China. Get the App ID and key from the developer console',
+    hintYoudao: 'Youdao AI Cloud text translation, reachable in mainland China. Fill in the app ID and app secret',
+    hintTencent: 'Tencent Cloud Machine Translation (TMT), reachable in mainland China with a monthly free tier. Fill in SecretId and SecretKey',
     hintOpenAI: 'Use OpenAI official API',
     hintMoonshot: 'Moonshot Kimi by Moonshot AI',
     hintZhipu: 'Zhipu GLM, Tsinghua AI model',
     hintAnthropic: 'Use Anthropic Claude API',
+    hintGemini: 'Use the native Google Gemini API. Get an API key from Google AI Studio',
+    hintAzure: 'Use Azure OpenAI. Fill in the resource name, deployment name and API version; the key is under "Keys and Endpoint" in the Azure portal',
     hintOllama: 'Run locally with Ollama, no API key needed. First time: run "OLLAMA_ORIGINS=* ollama serve" in terminal',
+    hintLibreTranslate: 'Self-hosted LibreTranslate. Enter the server URL (e.g. http://localhost:5000); the API key is only needed if your server requires one',
     hintCustom: 'Enter any OpenAI compatible API',
     
     // Translation settings
@@ -229,12 +419,73 @@ const LANGUAGES = {
     // Advanced settings
     advancedSettings: '⚙️ Advanced Settings',
     customPrompt: 'Custom Translation Prompt (Optional)',
-    customPromptPlaceholder: 'Leave empty for default, use {targetLang} for target language',
+    customPromptPlaceholder: 'Leave empty for default. Variables: {targetLang} {sourceLang} {pageTitle} {domain} {style} {glossary}',
+    promptTemplates: 'Prompt Templates',
+    newTemplate: '+ New template',
+    noTemplate: 'No template (use the custom prompt above)',
+    followDefaultTemplate: 'Use default template',
+    templateNamePlaceholder: 'Template name, e.g. Technical docs',
+    templatePromptPlaceholder: 'e.g. You translate technical docs from {domain} into {targetLang}. Keep code and API names. Terms: {glossary}',
+    templateExamplesPlaceholder: 'Few-shot examples (optional), one per line:\nPull request => 拉取请求',
+    templateVariablesHint: 'Variables: {targetLang} {sourceLang} {pageTitle} {domain} {style} {glossary}. Examples: one "source => translation" per line',
+    saveTemplate: 'Save Template',
+    deleteTemplate: 'Delete template',
+    defaultTemplate: 'Default Template',
+    siteTemplate: 'Template for {site}',
+    templatePreview: 'Template Preview',
+    previewSamplePlaceholder: 'Enter a sample sentence',
+    previewSampleDefault: 'The quick brown fox jumps over the lazy dog.',
+    previewPrompt: 'Preview prompt',
+    tryTemplate: 'Translate the sample',
+    tryTemplateFailed: 'Sample translation failed',
+    templateFieldsRequired: 'Enter a template name and prompt',
+    templateSaved: 'Template saved',
+    templateDeleted: 'Template deleted: {name}',
+    glossary: 'Glossary',
+    glossaryGlobal: 'Global (all sites)',
+    glossarySite: 'Only {site}',
+    glossaryPlaceholder: 'One term per line: source,translation (tabs also work)\nSpark,Spark\nPull request,拉取请求',
+    glossaryCaseSensitive: 'Case sensitive',
+    glossaryWholeWord: 'Whole words only',
+    glossaryCount: '{count} terms',
+    glossaryImported: 'Imported {count} terms. Save to apply.',
+    glossaryImportEmpty: 'No usable terms found in the file',
+    importGlossary: 'Import CSV / TSV File',
+    saveGlossary: 'Save Glossary',
+    glossarySaved: 'Glossary saved',
+    protectedPatterns: 'Do Not Translate (Regular Expressions)',
+    protectedPatternsPlaceholder: 'One per line, e.g.\n\\b[A-Z]+-\\d+\\b\n--[\\w-]+',
+    protectedPatternsHint: 'One rule per line. Matches (version numbers, CLI flags, ticket IDs...) are kept as-is',
+    addPatternPresets: 'Add Common Rules',
+    invalidProtectedPattern: 'Invalid regular expression: {pattern}',
     maxTokens: 'Max Tokens',
     maxConcurrent: 'Concurrent translations',
     maxConcurrentHint: 'Parallel translation requests from the page (1–12; higher values may hit rate limits)',
     temperature: 'Temperature (Creativity 0-1)',
     
+    // Translation cache
+    cacheHitRate: 'Cache Hit Rate',
+    cacheNoData: 'No data',
+    cacheInfo: '{entries} entries cached ({size}), {hits}/{total} hits',
+    enableCache: 'Cache translations (repeated content skips the API)',
+    enableStreaming: 'Stream translations (show text as it is generated)',
+    structuredOutput: 'Structured output (JSON mode, batch results aligned by id)',
+    contextMode: 'Context mode (send page title, section heading and previous paragraph for coherence)',
+    richText: 'Rich text mode (keep links, bold and inline code in translations)',
+    clearCache: 'Clear Translation Cache',
+    cacheCleared: 'Translation cache cleared',
+    clearCacheFailed: 'Failed to clear cache',
+    
+    // Usage and cost
+    usageSummary: 'Today {today} · This month {month}',
+    usageInfo: 'This month: {input} input / {output} output tokens',
+    priceTable: 'Price Table (USD / 1M tokens)',
+    priceTablePlaceholder: 'gpt-4o-mini 0.15 0.6',
+    priceTableHint: 'One per line: model prefix, input price, output price. Longest prefix wins; unlisted models count as 0. Clear to restore the defaults',
+    clearUsage: 'Clear Usage Stats',
+    usageCleared: 'Usage stats cleared',
+    clearUsageFailed: 'Failed to clear usage stats',
+    
     // Error messages
     pleaseConfigureApi: 'Please configure API key first',
     pleaseRefreshPage: 'Please refresh the page and try again',
@@ -273,6 +524,7 @@ const LANGUAGES = {
     errorInvalidResponse: 'Invalid response from AI',
     errorModelNotFound: '🤖 Model not found. Check model name',
     errorPermissionDenied: '🚫 Permission denied for this API',
+    errorContentBlocked: '🛡️ Content blocked by the model\'s safety filter',
     errorUnknown: '❓ An unknown error occurred',
     
     // GitHub links
@@ -27,6 +27,16 @@ const DEFAULT_GLOBAL_CONFIG = {
   maxTokens: 2048,
   temperature: 0.3,
   maxConcurrent: 6,
+  enableCache: true,
+  enableStreaming: true,
+  structuredOutput: false, // JSON 模式，批量译文按编号对齐
+  contextMode: false,      // 随每批附带页面标题、章节标题和上一段作为上下文
+  richText: false,         // 保留段落内的链接、加粗、行内代码
+  protectedPatterns: [],   // 不翻译的正则规则，匹配内容以占位符保护
+  fallbackProviders: [],   // 备用 provider（按顺序尝试）
+  activeProfile: '',       // 当前命名档案 id，空为直接使用 provider 配置
+  promptTemplate: '',      // 默认提示词模板 id
+  sitePromptTemplates: {}, // 按域名指定的模板 id
   uiLanguage: ''
 };
 
@@ -41,10 +51,14 @@ const ConfigManager = {
   // 存储键名
   STORAGE_KEY_GLOBAL: 'globalConfig',
   STORAGE_KEY_PROVIDERS: 'providerConfigs',
+  STORAGE_KEY_PROFILES: 'providerProfiles',
+  STORAGE_KEY_TEMPLATES: 'promptTemplates',
   
   // 内存缓存（使用空对象而非 null，避免展开操作出错）
   _globalConfig: { ...DEFAULT_GLOBAL_CONFIG },
   _providerConfigs: {},
+  _profiles: [],
+  _templates: [],
   _initialized: false,
   
   /**
@@ -86,7 +100,9 @@ const ConfigManager = {
     try {
       const result = await chrome.storage.sync.get([
         this.STORAGE_KEY_GLOBAL,
-        this.STORAGE_KEY_PROVIDERS
+        this.STORAGE_KEY_PROVIDERS,
+        this.STORAGE_KEY_PROFILES,
+        this.STORAGE_KEY_TEMPLATES
       ]);
 
       // 安全获取存储的全局配置
@@ -112,15 +128,28 @@ const ConfigManager = {
         };
       }
 
+      // 命名档案（忽略 provider 已不存在的条目）
+      const savedProfiles = result[this.STORAGE_KEY_PROFILES];
+      this._profiles = Array.isArray(savedProfiles)
+        ? savedProfiles.filter(profile => profile?.id && PROVIDER_DEFAULTS[profile.provider])
+        : [];
+
+      // 提示词模板库
+      const savedTemplates = result[this.STORAGE_KEY_TEMPLATES];
+      this._templates = Array.isArray(savedTemplates) ? savedTemplates.filter(template => template?.id) : [];
+
       console.log('[ConfigManager] Loaded config:', {
         global: this._globalConfig,
-        providers: Object.keys(this._providerConfigs)
+        providers: Object.keys(this._providerConfigs),
+        profiles: this._profiles.length
       });
 
     } catch (error) {
       console.error('[ConfigManager] Failed to load:', error);
       this._globalConfig = { ...DEFAULT_GLOBAL_CONFIG };
       this._providerConfigs = {};
+      this._profiles = [];
+      this._templates = [];
     }
   },
   
@@ -168,6 +197,120 @@ const ConfigManager = {
     });
   },
   
+  /**
+   * 获取所有命名档案
+   */
+  getProfiles() {
+    return this._profiles.map(profile => ({ ...profile }));
+  },
+  
+  getProfile(profileId) {
+    return this._profiles.find(profile => profile.id === profileId) || null;
+  },
+  
+  /**
+   * 获取当前启用的档案（没有则为 null）
+   */
+  getActiveProfile() {
+    this._ensureInitialized();
+    return findActiveProfile(this._globalConfig, this._profiles);
+  },
+  
+  /**
+   * 新建或更新命名档案 { id, name, provider, config }
+   */
+  async saveProfile(profile) {
+    if (!profile?.id || !PROVIDER_DEFAULTS[profile.provider]) return;
+    
+    const index = this._profiles.findIndex(item => item.id === profile.id);
+    const existing = index >= 0 ? this._profiles[index] : null;
+    const merged = {
+      id: profile.id,
+      name: profile.name || existing?.name || PROVIDER_DEFAULTS[profile.provider].displayName,
+      provider: profile.provider,
+      config: { ...(profile.config || {}) }
+    };
+    if (index >= 0) {
+      this._profiles[index] = merged;
+    } else {
+      this._profiles.push(merged);
+    }
+    
+    await chrome.storage.sync.set({
+      [this.STORAGE_KEY_PROFILES]: this._profiles
+    });
+  },
+  
+  /**
+   * 删除档案；删除的是当前档案时回到 provider 配置
+   */
+  async deleteProfile(profileId) {
+    this._profiles = this._profiles.filter(profile => profile.id !== profileId);
+    await chrome.storage.sync.set({
+      [this.STORAGE_KEY_PROFILES]: this._profiles
+    });
+    if (this._globalConfig.activeProfile === profileId) {
+      await this.saveGlobal({ activeProfile: '' });
+    }
+  },
+  
+  /**
+   * 切换档案（同时切换到档案的 provider），空 id 表示不使用档案
+   */
+  async setActiveProfile(profileId) {
+    const profile = this.getProfile(profileId);
+    await this.saveGlobal(profile
+      ? { activeProfile: profile.id, provider: profile.provider }
+      : { activeProfile: '' });
+  },
+  
+  /**
+   * 获取提示词模板库
+   */
+  getTemplates() {
+    return this._templates.map(template => ({ ...template }));
+  },
+  
+  getTemplate(templateId) {
+    return this._templates.find(template => template.id === templateId) || null;
+  },
+  
+  /**
+   * 新建或更新提示词模板 { id, name, prompt, examples }
+   */
+  async saveTemplate(template) {
+    if (!template?.id) return;
+    
+    const index = this._templates.findIndex(item => item.id === template.id);
+    if (index >= 0) {
+      this._templates[index] = { ...template };
+    } else {
+      this._templates.push({ ...template });
+    }
+    
+    await chrome.storage.sync.set({
+      [this.STORAGE_KEY_TEMPLATES]: this._templates
+    });
+  },
+  
+  /**
+   * 删除模板，同时清除默认模板和站点设置中对它的引用
+   */
+  async deleteTemplate(templateId) {
+    this._templates = this._templates.filter(template => template.id !== templateId);
+    await chrome.storage.sync.set({
+      [this.STORAGE_KEY_TEMPLATES]: this._templates
+    });
+    
+    const sitePromptTemplates = Object.fromEntries(
+      Object.entries(this._globalConfig.sitePromptTemplates || {}).filter(([, id]) => id !== templateId)
+    );
+    await this.saveGlobal({
+      promptTemplate: this._globalConfig.promptTemplate === templateId ? '' : this._globalConfig.promptTemplate,
+      sitePromptTemplates
+    });
+  },
+  
   /**
    * 获取全局配置
    */
@@ -181,7 +324,7 @@ const ConfigManager = {
    */
   getCurrentProvider() {
     this._ensureInitialized();
-    return this._globalConfig?.provider || 'google';
+    return this.getActiveProfile()?.provider || this._globalConfig?.provider || 'google';
   },
   
   /**
@@ -193,9 +336,9 @@ const ConfigManager = {
   },
   
   /**
-   * 获取 Provider 配置
+   * 获取 Provider 配置；传入同一 provider 的档案时用档案字段覆盖
    */
-  getProviderConfig(providerId) {
+  getProviderConfig(providerId, profile = null) {
     this._ensureInitialized();
     
     // 安全获取默认配置
@@ -208,12 +351,33 @@ const ConfigManager = {
     };
     
     // 安全获取已保存的配置
-    const saved = this._safeGet(this._providerConfigs, providerId, {});
+    const saved = {
+      ...this._safeGet(this._providerConfigs, providerId, {}),
+      ...(profile?.provider === providerId ? profile.config : {})
+    };
     
     return {
       endpoint: saved.endpoint || defaults.endpoint || '',
       model: saved.model || defaults.model || '',
       apiKey: saved.apiKey || '',
+      resource: saved.resource || '',
+      deployment: saved.deployment || '',
+      apiVersion: saved.apiVersion || defaults.apiVersion || '',
+      formality: saved.formality || 'default',
+      glossaryId: saved.glossaryId || '',
+      appId: saved.appId || '',
+      region: saved.region || defaults.region || '',
+      rpm: saved.rpm || 0,
+      tpm: saved.tpm || 0,
+      timeout: saved.timeout || 0,
+      retries: Number.isInteger(saved.retries) ? saved.retries : null,
+      headers: saved.headers || '',
+      authStyle: saved.authStyle || 'bearer',
+      authName: saved.authName || '',
+      bodyTemplate: saved.bodyTemplate || '',
+      responsePath: saved.responsePath || '',
+      temperature: saved.temperature || 0,
+      maxTokens: saved.maxTokens || 0,
       needsApiKey: defaults.needsApiKey !== false,
       hintKey: defaults.hintKey || 'hintCustom',
       displayName: defaults.displayName || providerId
@@ -226,13 +390,12 @@ const ConfigManager = {
   getCurrentFullConfig() {
     this._ensureInitialized();
     const global = this.getGlobal();
-    const provider = this.getProviderConfig(global.provider || 'google');
+    const profile = this.getActiveProfile();
+    const providerId = profile?.provider || global.provider || 'google';
+    const provider = this.getProviderConfig(providerId, profile);
     
     return {
-      provider: global.provider || 'google',
-      apiEndpoint: provider.endpoint || '',
-      apiKey: provider.apiKey || '',
-      modelName: provider.model || '',
+      ...getProviderRuntimeConfig(providerId, provider),
       sourceLang: global.sourceLang || 'auto',
       targetLang: global.targetLang || 'zh-CN',
       translationStyle: global.translationStyle || 'accurate',
@@ -240,9 +403,20 @@ const ConfigManager = {
       autoDetect: global.autoDetect !== false,
       showFab: global.showFab !== false,  // 🔥 添加悬浮按钮配置
       customPrompt: global.customPrompt || '',
-      maxTokens: global.maxTokens || 2048,
-      temperature: global.temperature || 0.3,
+      maxTokens: provider.maxTokens || global.maxTokens || 2048,
+      temperature: provider.temperature || global.temperature || 0.3,
       maxConcurrent: clampMaxConcurrent(global.maxConcurrent),
+      enableCache: global.enableCache !== false,
+      enableStreaming: global.enableStreaming !== false,
+      structuredOutput: global.structuredOutput === true,
+      contextMode: global.contextMode === true,
+      richText: global.richText === true,
+      protectedPatterns: Array.isArray(global.protectedPatterns) ? global.protectedPatterns : [],
+      fallbackProviders: Array.isArray(global.fallbackProviders) ? global.fallbackProviders : [],
+      activeProfile: profile?.id || '',
+      profileName: profile?.name || '',
+      promptTemplate: global.promptTemplate || '',
+      sitePromptTemplates: global.sitePromptTemplates || {},
       uiLanguage: global.uiLanguage || ''  // 🔥 添加UI语言配置
     };
   },
@@ -252,7 +426,8 @@ const ConfigManager = {
    */
   isCurrentProviderConfigured() {
     const provider = this.getCurrentProvider();
-    const config = this.getProviderConfig(provider);
+    const config = this.getProviderConfig(provider, this.getActiveProfile());
+    if (checkNeedsAppId(provider) && !config.appId) return false;
     if (!config.needsApiKey) return true;
     return !!config.apiKey;
   },
@@ -362,6 +537,16 @@ const StateManager = {
     }
   },
   
+  /**
+   * 显示 content script 识别出的页面语言；识别不出时隐藏
+   * @param {string|null} lang - 语言代码
+   */
+  syncPageLanguage(lang) {
+    if (!elements.pageLanguageItem) return;
+    elements.pageLanguageItem.style.display = lang ? '' : 'none';
+    if (lang) elements.currentPageLang.textContent = LANG_NAMES[lang] || lang;
+  },
+  
   /**
    * 通知 Content Script 更新翻译状态
    * @param {string} action - 'startTranslate' | 'stopTranslate'
@@ -408,6 +593,8 @@ const StateManager = {
     const contentState = await this.getContentState();
     
     if (contentState) {
+      this.syncPageLanguage(contentState.pageLanguage);
+      
       // 应用翻译状态
       if (contentState.isTranslating) {
         this.syncTranslatingState(true);
@@ -433,6 +620,7 @@ const StateManager = {
 // 初始化
 document.addEventListener('DOMContentLoaded', async () => {
   initElements();
+  initFallbackSelects();
   await loadConfig();
   applyI18n();
   initEventListeners();
@@ -460,6 +648,14 @@ function applyI18n() {
     el.placeholder = t(key);
   });
   
+  if (elements.refreshModelsBtn) {
+    elements.refreshModelsBtn.title = t('refreshModels');
+    elements.saveProfileBtn.title = t('saveAsProfile');
+    elements.deleteProfileBtn.title = t('deleteProfile');
+    elements.deletePromptTemplateBtn.title = t('deleteTemplate');
+    elements.previewPromptBtn.title = t('previewPrompt');
+  }
+  
   // 更新语言按钮显示
   updateLangButton();
 }
@@ -514,17 +710,72 @@ function initElements() {
     // 状态显示
     statusCard: document.getElementById('statusCard'),
     currentProvider: document.getElementById('currentProvider'),
+    profileSwitcherItem: document.getElementById('profileSwitcherItem'),
+    profileSwitcher: document.getElementById('profileSwitcher'),
+    profileSelect: document.getElementById('profileSelect'),
+    profileName: document.getElementById('profileName'),
+    saveProfileBtn: document.getElementById('saveProfileBtn'),
+    deleteProfileBtn: document.getElementById('deleteProfileBtn'),
+    promptTemplateSelect: document.getElementById('promptTemplateSelect'),
+    deletePromptTemplateBtn: document.getElementById('deletePromptTemplateBtn'),
+    promptTemplateName: document.getElementById('promptTemplateName'),
+    promptTemplateText: document.getElementById('promptTemplateText'),
+    promptTemplateExamples: document.getElementById('promptTemplateExamples'),
+    savePromptTemplateBtn: document.getElementById('savePromptTemplateBtn'),
+    defaultPromptTemplate: document.getElementById('defaultPromptTemplate'),
+    sitePromptTemplateGroup: document.getElementById('sitePromptTemplateGroup'),
+    sitePromptTemplateLabel: document.getElementById('sitePromptTemplateLabel'),
+    sitePromptTemplate: document.getElementById('sitePromptTemplate'),
+    promptPreviewSample: document.getElementById('promptPreviewSample'),
+    previewPromptBtn: document.getElementById('previewPromptBtn'),
+    tryPromptBtn: document.getElementById('tryPromptBtn'),
+    promptPreview: document.getElementById('promptPreview'),
+    glossaryScope: document.getElementById('glossaryScope'),
+    glossaryEntries: document.getElementById('glossaryEntries'),
+    glossaryStatus: document.getElementById('glossaryStatus'),
+    glossaryCaseSensitive: document.getElementById('glossaryCaseSensitive'),
+    glossaryWholeWord: document.getElementById('glossaryWholeWord'),
+    glossaryFile: document.getElementById('glossaryFile'),
+    importGlossaryBtn: document.getElementById('importGlossaryBtn'),
+    saveGlossaryBtn: document.getElementById('saveGlossaryBtn'),
     currentTargetLang: document.getElementById('currentTargetLang'),
+    pageLanguageItem: document.getElementById('pageLanguageItem'),
+    currentPageLang: document.getElementById('currentPageLang'),
     apiStatus: document.getElementById('apiStatus'),
     apiStatusItem: document.getElementById('apiStatusItem'),
+    cacheHitRate: document.getElementById('cacheHitRate'),
     
     // 设置表单
     providerSelect: document.getElementById('providerSelect'),
     providerHint: document.getElementById('providerHint'),
     apiEndpoint: document.getElementById('apiEndpoint'),
+    azureFields: document.getElementById('azureFields'),
+    azureResource: document.getElementById('azureResource'),
+    azureDeployment: document.getElementById('azureDeployment'),
+    azureApiVersion: document.getElementById('azureApiVersion'),
+    deeplFields: document.getElementById('deeplFields'),
+    customApiFields: document.getElementById('customApiFields'),
+    customAuthStyle: document.getElementById('customAuthStyle'),
+    customAuthName: document.getElementById('customAuthName'),
+    customHeaders: document.getElementById('customHeaders'),
+    customBodyTemplate: document.getElementById('customBodyTemplate'),
+    customResponsePath: document.getElementById('customResponsePath'),
+    deeplFormality: document.getElementById('deeplFormality'),
+    deeplGlossaryId: document.getElementById('deeplGlossaryId'),
+    appCredentialFields: document.getElementById('appCredentialFields'),
+    appId: document.getElementById('appId'),
+    regionGroup: document.getElementById('regionGroup'),
+    tencentRegion: document.getElementById('tencentRegion'),
+    rpmLimit: document.getElementById('rpmLimit'),
+    tpmLimit: document.getElementById('tpmLimit'),
+    requestTimeout: document.getElementById('requestTimeout'),
+    maxRetries: document.getElementById('maxRetries'),
     apiKey: document.getElementById('apiKey'),
     toggleApiKey: document.getElementById('toggleApiKey'),
     modelName: document.getElementById('modelName'),
+    modelOptions: document.getElementById('modelOptions'),
+    modelStatus: document.getElementById('modelStatus'),
+    refreshModelsBtn: document.getElementById('refreshModelsBtn'),
     testApiBtn: document.getElementById('testApiBtn'),
     
     sourceLang: document.getElementById('sourceLang'),
@@ -541,6 +792,20 @@ function initElements() {
     maxConcurrent: document.getElementById('maxConcurrent'),
     temperature: document.getElementById('temperature'),
     temperatureValue: document.getElementById('temperatureValue'),
+    enableCache: document.getElementById('enableCache'),
+    enableStreaming: document.getElementById('enableStreaming'),
+    structuredOutput: document.getElementById('structuredOutput'),
+    contextMode: document.getElementById('contextMode'),
+    richText: document.getElementById('richText'),
+    protectedPatterns: document.getElementById('protectedPatterns'),
+    addPatternPresetsBtn: document.getElementById('addPatternPresetsBtn'),
+    fallbackSelects: Array.from(document.querySelectorAll('.fallback-select')),
+    clearCacheBtn: document.getElementById('clearCacheBtn'),
+    cacheInfo: document.getElementById('cacheInfo'),
+    usageSummary: document.getElementById('usageSummary'),
+    priceTable: document.getElementById('priceTable'),
+    clearUsageBtn: document.getElementById('clearUsageBtn'),
+    usageInfo: document.getElementById('usageInfo'),
     
     saveSettingsBtn: document.getElementById('saveSettingsBtn'),
     toast: document.getElementById('toast'),
@@ -683,6 +948,10 @@ async function loadConfig() {
 // 保存配置（使用 ConfigManager）
 async function saveConfig() {
   try {
+    // 启用档案时温度和最大 Token 存进档案，全局默认值保持不变
+    const profileId = currentConfig.activeProfile || '';
+    const global = ConfigManager.getGlobal();
+    
     // 保存全局配置
     await ConfigManager.saveGlobal({
       provider: currentConfig.provider,
@@ -693,23 +962,75 @@ async function saveConfig() {
       autoDetect: currentConfig.autoDetect,
       showFab: currentConfig.showFab,
       customPrompt: currentConfig.customPrompt,
-      maxTokens: currentConfig.maxTokens,
-      temperature: currentConfig.temperature,
+      maxTokens: profileId ? global.maxTokens : currentConfig.maxTokens,
+      temperature: profileId ? global.temperature : currentConfig.temperature,
       maxConcurrent: clampMaxConcurrent(currentConfig.maxConcurrent),
+      enableCache: currentConfig.enableCache,
+      enableStreaming: currentConfig.enableStreaming,
+      structuredOutput: currentConfig.structuredOutput,
+      contextMode: currentConfig.contextMode,
+      richText: currentConfig.richText,
+      protectedPatterns: currentConfig.protectedPatterns,
+      fallbackProviders: currentConfig.fallbackProviders,
+      activeProfile: profileId,
+      promptTemplate: currentConfig.promptTemplate,
+      sitePromptTemplates: currentConfig.sitePromptTemplates,
       uiLanguage: currentConfig.uiLanguage
     });
     
-    // 保存当前 Provider 的配置
-    await ConfigManager.saveProvider(currentConfig.provider, {
+    const providerFields = {
       endpoint: currentConfig.apiEndpoint,
       model: currentConfig.modelName,
-      apiKey: currentConfig.apiKey
-    });
+      apiKey: currentConfig.apiKey,
+      rpm: currentConfig.rpmLimit,
+      tpm: currentConfig.tpmLimit,
+      timeout: currentConfig.requestTimeout,
+      retries: currentConfig.maxRetries,
+      ...(currentConfig.provider === 'azure' ? {
+        resource: currentConfig.azureResource,
+        deployment: currentConfig.azureDeployment,
+        apiVersion: currentConfig.azureApiVersion
+      } : {}),
+      ...(currentConfig.provider === 'deepl' ? {
+        formality: currentConfig.deeplFormality,
+        glossaryId: currentConfig.deeplGlossaryId
+      } : {}),
+      ...(checkNeedsAppId(currentConfig.provider) ? {
+        appId: currentConfig.appId,
+        region: currentConfig.region
+      } : {}),
+      ...(currentConfig.provider === 'custom' ? {
+        headers: currentConfig.customHeaders,
+        authStyle: currentConfig.customAuthStyle,
+        authName: currentConfig.customAuthName,
+        bodyTemplate: currentConfig.customBodyTemplate,
+        responsePath: currentConfig.customResponsePath
+      } : {})
+    };
+    
+    if (profileId) {
+      // 保存到当前档案
+      await ConfigManager.saveProfile({
+        id: profileId,
+        name: currentConfig.profileName,
+        provider: currentConfig.provider,
+        config: {
+          ...providerFields,
+          temperature: currentConfig.temperature,
+          maxTokens: currentConfig.maxTokens
+        }
+      });
+    } else {
+      // 保存当前 Provider 的配置
+      await ConfigManager.saveProvider(currentConfig.provider, providerFields);
+    }
     
     showToast(window.i18n.t('settingsSaved'), 'success');
+    return true;
   } catch (error) {
     console.error('Failed to save config:', error);
     showToast(window.i18n.t('saveFailed'), 'error');
+    return false;
   }
 }
 
@@ -748,12 +1069,39 @@ function initEventListeners() {
   // 提供商选择变化
   elements.providerSelect.addEventListener('change', handleProviderChange);
   
+  // 命名档案：主界面切换，设置页编辑 / 新建 / 删除
+  elements.profileSwitcher.addEventListener('change', handleProfileSwitch);
+  elements.profileSelect.addEventListener('change', handleProfileSelectChange);
+  elements.saveProfileBtn.addEventListener('click', handleCreateProfile);
+  elements.deleteProfileBtn.addEventListener('click', handleDeleteProfile);
+  
+  // 提示词模板库
+  elements.promptTemplateSelect.addEventListener('change', (e) => loadTemplateIntoEditor(e.target.value));
+  elements.savePromptTemplateBtn.addEventListener('click', handleSavePromptTemplate);
+  elements.deletePromptTemplateBtn.addEventListener('click', handleDeletePromptTemplate);
+  elements.previewPromptBtn.addEventListener('click', handlePreviewPrompt);
+  elements.tryPromptBtn.addEventListener('click', handleTryPrompt);
+  
+  // 术语表
+  elements.glossaryScope.addEventListener('change', loadGlossary);
+  elements.glossaryEntries.addEventListener('input', updateGlossaryStatus);
+  elements.importGlossaryBtn.addEventListener('click', () => elements.glossaryFile.click());
+  elements.glossaryFile.addEventListener('change', handleImportGlossary);
+  elements.saveGlossaryBtn.addEventListener('click', handleSaveGlossary);
+  elements.addPatternPresetsBtn.addEventListener('click', handleAddPatternPresets);
+  
   // API密钥显示切换
   elements.toggleApiKey.addEventListener('click', () => {
     const input = elements.apiKey;
     input.type = input.type === 'password' ? 'text' : 'password';
   });
   
+  // 模型列表：地址或密钥变化后重新获取
+  elements.refreshModelsBtn.addEventListener('click', refreshModelList);
+  elements.apiEndpoint.addEventListener('input', scheduleModelListRefresh);
+  elements.apiKey.addEventListener('input', scheduleModelListRefresh);
+  elements.modelName.addEventListener('input', updateModelStatus);
+  
   // Temperature滑块
   elements.temperature.addEventListener('input', (e) => {
     elements.temperatureValue.textContent = e.target.value;
@@ -763,7 +1111,18 @@ function initEventListeners() {
   elements.testApiBtn.addEventListener('click', handleTestApi);
   
   // 保存设置
-  elements.saveSettingsBtn.addEventListener('click', handleSaveSettings);
+  elements.saveSettingsBtn.addEventListener('click', () => handleSaveSettings());
+  
+  // 清空翻译缓存
+  if (elements.clearCacheBtn) {
+    elements.clearCacheBtn.addEventListener('click', handleClearCache);
+  }
+  if (elements.clearUsageBtn) {
+    elements.clearUsageBtn.addEventListener('click', handleClearUsage);
+  }
+  if (elements.priceTable) {
+    elements.priceTable.addEventListener('input', () => { priceTableEdited = true; });
+  }
   
   // 控制台按钮
   if (elements.clearConsole) {
@@ -788,6 +1147,12 @@ function updateUI() {
   elements.apiEndpoint.value = currentConfig.apiEndpoint;
   elements.apiKey.value = currentConfig.apiKey;
   elements.modelName.value = currentConfig.modelName;
+  setAzureFieldValues(currentConfig.azureResource, currentConfig.azureDeployment, currentConfig.azureApiVersion);
+  setDeepLFieldValues(currentConfig.deeplFormality, currentConfig.deeplGlossaryId);
+  setAppCredentialValues(currentConfig.appId, currentConfig.region);
+  setRateLimitValues(currentConfig.rpmLimit, currentConfig.tpmLimit);
+  setRetryFieldValues(currentConfig.requestTimeout, currentConfig.maxRetries);
+  setCustomApiFieldValues(currentConfig);
   if (elements.sourceLang) {
     elements.sourceLang.value = currentConfig.sourceLang || 'auto';
   }
@@ -806,6 +1171,25 @@ function updateUI() {
   }
   elements.temperature.value = currentConfig.temperature;
   elements.temperatureValue.textContent = currentConfig.temperature;
+  if (elements.enableCache) {
+    elements.enableCache.checked = currentConfig.enableCache !== false;
+  }
+  if (elements.enableStreaming) {
+    elements.enableStreaming.checked = currentConfig.enableStreaming !== false;
+  }
+  if (elements.structuredOutput) {
+    elements.structuredOutput.checked = currentConfig.structuredOutput === true;
+  }
+  if (elements.contextMode) {
+    elements.contextMode.checked = currentConfig.contextMode === true;
+  }
+  if (elements.richText) {
+    elements.richText.checked = currentConfig.richText === true;
+  }
+  elements.protectedPatterns.value = (currentConfig.protectedPatterns || []).join('\n');
+  setFallbackSelection(currentConfig.fallbackProviders);
+  renderProfileOptions();
+  renderPromptTemplateOptions();
   
   // 更新提供商提示
   updateProviderHint(currentConfig.provider);
@@ -817,6 +1201,10 @@ function updateUI() {
   // 更新API状态
   updateApiStatus();
   
+  // 更新缓存统计和用量（异步，不阻塞渲染）
+  updateCacheStats();
+  updateUsageSummary();
+  
   // 显示/隐藏引导
   updateSetupGuide();
   
@@ -841,10 +1229,156 @@ function updateProviderHint(provider) {
   }
 }
 
+// ==================== Provider 专用字段（Azure / DeepL / 国内机器翻译）====================
+
+function getAzureFieldValues() {
+  return {
+    azureResource: elements.azureResource?.value.trim() || '',
+    azureDeployment: elements.azureDeployment?.value.trim() || '',
+    azureApiVersion: elements.azureApiVersion?.value.trim() || PROVIDER_DEFAULTS.azure.apiVersion
+  };
+}
+
+function setAzureFieldValues(resource, deployment, apiVersion) {
+  if (!elements.azureResource) return;
+  elements.azureResource.value = resource || '';
+  elements.azureDeployment.value = deployment || '';
+  elements.azureApiVersion.value = apiVersion || PROVIDER_DEFAULTS.azure.apiVersion;
+}
+
+function getDeepLFieldValues() {
+  return {
+    deeplFormality: elements.deeplFormality?.value || 'default',
+    deeplGlossaryId: elements.deeplGlossaryId?.value.trim() || ''
+  };
+}
+
+function setDeepLFieldValues(formality, glossaryId) {
+  if (!elements.deeplFormality) return;
+  elements.deeplFormality.value = formality || 'default';
+  elements.deeplGlossaryId.value = glossaryId || '';
+}
+
+function getAppCredentialValues() {
+  return {
+    appId: elements.appId?.value.trim() || '',
+    region: elements.tencentRegion?.value.trim() || PROVIDER_DEFAULTS.tencent.region
+  };
+}
+
+function setAppCredentialValues(appId, region) {
+  if (!elements.appId) return;
+  elements.appId.value = appId || '';
+  elements.tencentRegion.value = region || PROVIDER_DEFAULTS.tencent.region;
+}
+
+// RPM / TPM 上限，0 或留空为不限
+function getRateLimitValues() {
+  return {
+    rpmLimit: Math.max(0, parseInt(elements.rpmLimit?.value, 10) || 0),
+    tpmLimit: Math.max(0, parseInt(elements.tpmLimit?.value, 10) || 0)
+  };
+}
+
+function setRateLimitValues(rpm, tpm) {
+  if (!elements.rpmLimit) return;
+  elements.rpmLimit.value = rpm || '';
+  elements.tpmLimit.value = tpm || '';
+}
+
+// 单次请求超时（秒）和重试次数，留空使用该服务的默认值
+function getRetryFieldValues() {
+  const retries = parseInt(elements.maxRetries?.value, 10);
+  return {
+    requestTimeout: Math.max(0, parseInt(elements.requestTimeout?.value, 10) || 0),
+    maxRetries: Number.isInteger(retries) ? Math.min(5, Math.max(0, retries)) : null
+  };
+}
+
+function setRetryFieldValues(timeout, retries) {
+  if (!elements.requestTimeout) return;
+  elements.requestTimeout.value = timeout || '';
+  elements.maxRetries.value = Number.isInteger(retries) ? retries : '';
+}
+
+// 自定义 API 的鉴权方式、请求头与模板
+function getCustomApiFieldValues() {
+  return {
+    customHeaders: elements.customHeaders?.value.trim() || '',
+    customAuthStyle: elements.customAuthStyle?.value || 'bearer',
+    customAuthName: elements.customAuthName?.value.trim() || '',
+    customBodyTemplate: elements.customBodyTemplate?.value.trim() || '',
+    customResponsePath: elements.customResponsePath?.value.trim() || ''
+  };
+}
+
+function setCustomApiFieldValues(values) {
+  if (!elements.customAuthStyle) return;
+  elements.customHeaders.value = values.customHeaders || '';
+  elements.customAuthStyle.value = values.customAuthStyle || 'bearer';
+  elements.customAuthName.value = values.customAuthName || '';
+  elements.customBodyTemplate.value = values.customBodyTemplate || '';
+  elements.customResponsePath.value = values.customResponsePath || '';
+}
+
+// 请求体模板必须是合法 JSON（占位符写在字符串里）
+function isValidBodyTemplate(template) {
+  if (!template) return true;
+  try {
+    JSON.parse(template);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// ==================== 备用服务 ====================
+
+/**
+ * 用服务提供商列表填充备用服务下拉框（选项文本沿用 providerSelect 的 i18n）
+ */
+function initFallbackSelects() {
+  elements.fallbackSelects.forEach(select => {
+    const none = document.createElement('option');
+    none.value = '';
+    none.setAttribute('data-i18n', 'fallbackNone');
+    none.textContent = '不使用';
+    select.appendChild(none);
+
+    Array.from(elements.providerSelect.options).forEach(option => {
+      select.appendChild(option.cloneNode(true));
+    });
+  });
+}
+
+function setFallbackSelection(providers) {
+  const list = Array.isArray(providers) ? providers : [];
+  elements.fallbackSelects.forEach((select, index) => {
+    select.value = list[index] || '';
+  });
+}
+
+/**
+ * 读取备用服务顺序（去掉空项、重复项和当前主服务）
+ */
+function getFallbackSelection() {
+  const primary = elements.providerSelect.value;
+  const result = [];
+  elements.fallbackSelects.forEach(select => {
+    const value = select.value;
+    if (value && value !== primary && !result.includes(value)) {
+      result.push(value);
+    }
+  });
+  return result;
+}
+
 // 更新API字段可见性（Google翻译不需要API配置）
 function updateApiFieldsVisibility(provider) {
   const providerConfig = PROVIDER_DEFAULTS[provider];
   const needsApiKey = providerConfig?.needsApiKey !== false;
+  // LibreTranslate 不是 LLM，没有模型字段
+  const hasModel = provider !== 'libretranslate';
   
   // 获取 API 相关的表单组
   const apiEndpointGroup = elements.apiEndpoint?.closest('.form-group');
@@ -852,17 +1386,49 @@ function updateApiFieldsVisibility(provider) {
   const modelNameGroup = elements.modelName?.closest('.form-group');
   const testApiGroup = elements.testApiBtn?.closest('.form-group') || elements.testApiBtn;
   
+  if (elements.azureFields) {
+    elements.azureFields.style.display = provider === 'azure' ? 'block' : 'none';
+  }
+  if (elements.deeplFields) {
+    elements.deeplFields.style.display = provider === 'deepl' ? 'block' : 'none';
+  }
+  if (elements.customApiFields) {
+    elements.customApiFields.style.display = provider === 'custom' ? 'block' : 'none';
+  }
+  if (elements.appCredentialFields) {
+    elements.appCredentialFields.style.display = checkNeedsAppId(provider) ? 'block' : 'none';
+    elements.regionGroup.style.display = provider === 'tencent' ? 'block' : 'none';
+  }
+  
   if (provider === 'google') {
     // Google 翻译隐藏所有 API 相关字段
     if (apiEndpointGroup) apiEndpointGroup.style.display = 'none';
     if (apiKeyGroup) apiKeyGroup.style.display = 'none';
     if (modelNameGroup) modelNameGroup.style.display = 'none';
     if (testApiGroup) testApiGroup.style.display = 'none';
+  } else if (provider === 'azure') {
+    // Azure 的地址和模型由资源名 / 部署名决定
+    if (apiEndpointGroup) apiEndpointGroup.style.display = 'none';
+    if (apiKeyGroup) apiKeyGroup.style.display = 'block';
+    if (modelNameGroup) modelNameGroup.style.display = 'none';
+    if (testApiGroup) testApiGroup.style.display = 'block';
+  } else if (checkNeedsAppId(provider)) {
+    // 百度 / 有道 / 腾讯使用固定地址，没有模型概念
+    if (apiEndpointGroup) apiEndpointGroup.style.display = 'none';
+    if (apiKeyGroup) apiKeyGroup.style.display = 'block';
+    if (modelNameGroup) modelNameGroup.style.display = 'none';
+    if (testApiGroup) testApiGroup.style.display = 'block';
+  } else if (provider === 'deepl') {
+    // DeepL 没有模型概念，endpoint 可留空自动选择
+    if (apiEndpointGroup) apiEndpointGroup.style.display = 'block';
+    if (apiKeyGroup) apiKeyGroup.style.display = 'block';
+    if (modelNameGroup) modelNameGroup.style.display = 'none';
+    if (testApiGroup) testApiGroup.style.display = 'block';
   } else {
     // 其他提供商显示字段
     if (apiEndpointGroup) apiEndpointGroup.style.display = 'block';
-    if (apiKeyGroup) apiKeyGroup.style.display = needsApiKey ? 'block' : 'none';
-    if (modelNameGroup) modelNameGroup.style.display = 'block';
+    if (apiKeyGroup) apiKeyGroup.style.display = needsApiKey || providerConfig?.optionalApiKey ? 'block' : 'none';
+    if (modelNameGroup) modelNameGroup.style.display = hasModel ? 'block' : 'none';
     if (testApiGroup) testApiGroup.style.display = 'block';
   }
 }
@@ -879,12 +1445,195 @@ function updateApiStatus() {
   if (isConfigured) {
     statusEl.innerHTML = `<span class="status-dot active"></span><span>${t('configured')}</span>`;
     itemEl.classList.remove('not-configured', 'clickable');
+    updateProviderHealth();
   } else {
     statusEl.innerHTML = `<span class="status-dot"></span><span>${t('clickToConfigure')}</span>`;
     itemEl.classList.add('not-configured', 'clickable');
   }
 }
 
+/**
+ * 熔断状态：服务连续故障时显示不可用 / 恢复中（正常时保持"已配置"）
+ */
+async function updateProviderHealth() {
+  const t = window.i18n.t;
+  
+  try {
+    const health = await chrome.runtime.sendMessage({ action: 'getProviderHealth', provider: currentConfig.provider });
+    if (!health || health.error || health.state === 'closed') return;
+    
+    const isOpen = health.state === 'open';
+    const text = isOpen
+      ? t('providerUnavailable').replace('{seconds}', Math.max(1, Math.ceil(health.retryIn / 1000)))
+      : t('providerRecovering');
+    elements.apiStatus.innerHTML = `<span class="status-dot ${isOpen ? 'error' : 'warning'}"></span><span>${text}</span>`;
+  } catch (error) {
+    console.warn('[Popup] Failed to get provider health:', error);
+  }
+}
+
+// ==================== 翻译缓存 ====================
+
+/**
+ * 从 service worker 读取缓存统计并更新主界面命中率和设置页说明
+ */
+async function updateCacheStats() {
+  const t = window.i18n.t;
+  
+  try {
+    const stats = await chrome.runtime.sendMessage({ action: 'getCacheStats' });
+    if (!stats || stats.error) return;
+    
+    const total = stats.hits + stats.misses;
+    const hitRate = total > 0 ? `${Math.round(stats.hits / total * 100)}%` : t('cacheNoData');
+    
+    if (elements.cacheHitRate) {
+      elements.cacheHitRate.textContent = hitRate;
+    }
+    if (elements.cacheInfo) {
+      elements.cacheInfo.textContent = t('cacheInfo')
+        .replace('{entries}', stats.entries)
+        .replace('{size}', formatBytes(stats.bytes))
+        .replace('{hits}', stats.hits)
+        .replace('{total}', total);
+    }
+  } catch (error) {
+    console.warn('[Popup] Failed to get cache stats:', error);
+  }
+}
+
+/**
+ * 清空翻译缓存
+ */
+async function handleClearCache() {
+  const t = window.i18n.t;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'clearCache' });
+    if (response?.error) throw new Error(response.error);
+    showToast(t('cacheCleared'), 'success');
+    logToConsole(t('cacheCleared'), 'info');
+    updateCacheStats();
+  } catch (error) {
+    console.error('[Popup] Failed to clear cache:', error);
+    showToast(t('clearCacheFailed'), 'error');
+  }
+}
+
+// ==================== 用量与费用 ====================
+
+/**
+ * 读取今日/本月用量，更新状态卡片和设置页说明
+ */
+async function updateUsageSummary() {
+  const t = window.i18n.t;
+  
+  try {
+    const summary = await chrome.runtime.sendMessage({ action: 'getUsageSummary' });
+    if (!summary || summary.error) return;
+    
+    const { today, month } = summary;
+    if (elements.usageSummary) {
+      const hasUsage = month.inputTokens + month.outputTokens > 0;
+      elements.usageSummary.style.display = hasUsage ? 'block' : 'none';
+      elements.usageSummary.textContent = t('usageSummary')
+        .replace('{today}', formatCost(today.cost))
+        .replace('{month}', formatCost(month.cost));
+    }
+    if (elements.usageInfo) {
+      elements.usageInfo.textContent = t('usageInfo')
+        .replace('{input}', month.inputTokens.toLocaleString())
+        .replace('{output}', month.outputTokens.toLocaleString());
+    }
+  } catch (error) {
+    console.warn('[Popup] Failed to get usage summary:', error);
+  }
+}
+
+// 价格表读入前（或读取失败时）文本框是空的，不能当作用户清空了价格表来保存
+let priceTableLoaded = false;
+let priceTableEdited = false;
+
+/**
+ * 读取价格表填入设置页
+ */
+async function loadPriceTable() {
+  if (!elements.priceTable) return;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getPriceTable' });
+    if (!response || response.error) return;
+    elements.priceTable.value = formatPriceTable(response.priceTable);
+    priceTableLoaded = true;
+    priceTableEdited = false;
+  } catch (error) {
+    console.warn('[Popup] Failed to load price table:', error);
+  }
+}
+
+/**
+ * 只保存读入后被编辑过的价格表；清空则恢复默认价格
+ */
+async function savePriceTable() {
+  if (!elements.priceTable || !priceTableLoaded || !priceTableEdited) return;
+  
+  const response = await chrome.runtime.sendMessage({
+    action: 'setPriceTable',
+    priceTable: parsePriceTable(elements.priceTable.value)
+  });
+  if (response?.priceTable) {
+    elements.priceTable.value = formatPriceTable(response.priceTable);
+    priceTableEdited = false;
+  }
+}
+
+/**
+ * 价格表文本：每行 "模型名前缀 输入价格 输出价格"，忽略空行和格式不对的行
+ */
+function parsePriceTable(text) {
+  return text.split('\n')
+    .map(line => line.trim().split(/[\s,]+/))
+    .filter(parts => parts.length === 3 && parts[0])
+    .map(([model, input, output]) => ({ model, input: parseFloat(input), output: parseFloat(output) }))
+    .filter(row => Number.isFinite(row.input) && Number.isFinite(row.output));
+}
+
+function formatPriceTable(table) {
+  return (table || []).map(row => `${row.model} ${row.input} ${row.output}`).join('\n');
+}
+
+function formatCost(cost) {
+  // 小额费用保留更多小数位，否则会一直显示 $0.00
+  return `$${cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+/**
+ * 清空用量统计
+ */
+async function handleClearUsage() {
+  const t = window.i18n.t;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'clearUsage' });
+    if (response?.error) throw new Error(response.error);
+    showToast(t('usageCleared'), 'success');
+    logToConsole(t('usageCleared'), 'info');
+    updateUsageSummary();
+  } catch (error) {
+    console.error('[Popup] Failed to clear usage:', error);
+    showToast(t('clearUsageFailed'), 'error');
+  }
+}
+
+/**
+ * 字节数格式化
+ */
+function formatBytes(bytes) {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
 // 获取提供商名称
 function getProviderName(provider) {
   // 使用 PROVIDER_DEFAULTS 中的 displayName
@@ -904,6 +1653,9 @@ function showPanel(panel) {
   if (panel === 'settings') {
     elements.mainContent.style.display = 'none';
     elements.settingsPanel.style.display = 'flex';
+    loadPriceTable();
+    refreshModelList();
+    loadCurrentSite();
   } else {
     elements.mainContent.style.display = 'block';
     elements.settingsPanel.style.display = 'none';
@@ -917,13 +1669,25 @@ function handleProviderChange(e) {
   const defaults = PROVIDER_DEFAULTS[provider];
   
   if (defaults) {
-    // 🔥 关键：加载该 Provider 已保存的配置
-    const savedConfig = ConfigManager.getProviderConfig(provider);
+    // 🔥 关键：加载该 Provider 已保存的配置（设置页选中档案时叠加档案字段）
+    const savedConfig = ConfigManager.getProviderConfig(provider, ConfigManager.getProfile(elements.profileSelect.value));
     
     // 使用已保存的配置，如果没有则使用默认值
     elements.apiEndpoint.value = savedConfig.endpoint || defaults.endpoint;
     elements.modelName.value = savedConfig.model || defaults.model;
     elements.apiKey.value = savedConfig.apiKey || '';
+    setAzureFieldValues(savedConfig.resource, savedConfig.deployment, savedConfig.apiVersion);
+    setDeepLFieldValues(savedConfig.formality, savedConfig.glossaryId);
+    setAppCredentialValues(savedConfig.appId, savedConfig.region);
+    setRateLimitValues(savedConfig.rpm, savedConfig.tpm);
+    setRetryFieldValues(savedConfig.timeout, savedConfig.retries);
+    setCustomApiFieldValues({
+      customHeaders: savedConfig.headers,
+      customAuthStyle: savedConfig.authStyle,
+      customAuthName: savedConfig.authName,
+      customBodyTemplate: savedConfig.bodyTemplate,
+      customResponsePath: savedConfig.responsePath
+    });
     
     updateProviderHint(provider);
     updateApiFieldsVisibility(provider);
@@ -931,6 +1695,8 @@ function handleProviderChange(e) {
     if (provider === 'custom') {
       elements.apiEndpoint.placeholder = window.i18n.t('apiAddress');
       elements.modelName.placeholder = window.i18n.t('modelName');
+    } else if (provider === 'deepl') {
+      elements.apiEndpoint.placeholder = window.i18n.t('deeplEndpointPlaceholder');
     } else if (provider !== 'google') {
       elements.apiEndpoint.placeholder = defaults.endpoint;
       elements.modelName.placeholder = defaults.model;
@@ -940,9 +1706,574 @@ function handleProviderChange(e) {
     if (savedConfig.apiKey) {
       console.log(`[Popup] Loaded saved API key for ${provider}`);
     }
+    
+    refreshModelList();
   }
 }
 
+// ==================== 命名档案 ====================
+
+/**
+ * 填充主界面档案切换器和设置页档案下拉框
+ */
+function renderProfileOptions() {
+  const t = window.i18n.t;
+  const profiles = ConfigManager.getProfiles();
+  const activeId = currentConfig.activeProfile || '';
+  
+  [elements.profileSwitcher, elements.profileSelect].forEach(select => {
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = t('profileDefault');
+    select.replaceChildren(none, ...profiles.map(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = `${profile.name} · ${PROVIDER_DEFAULTS[profile.provider].displayName}`;
+      return option;
+    }));
+    select.value = activeId;
+  });
+  
+  elements.profileName.value = currentConfig.profileName || '';
+  elements.deleteProfileBtn.disabled = !activeId;
+  // 没有档案时不占主界面空间
+  elements.profileSwitcherItem.style.display = profiles.length > 0 ? 'flex' : 'none';
+}
+
+/**
+ * 主界面切换档案：立即生效，下次翻译使用新的 provider / 密钥 / 模型
+ */
+async function handleProfileSwitch(e) {
+  const t = window.i18n.t;
+  try {
+    await ConfigManager.setActiveProfile(e.target.value);
+    currentConfig = ConfigManager.getCurrentFullConfig();
+    updateUI();
+    const name = currentConfig.profileName || t('profileDefault');
+    showToast(t('profileSwitched').replace('{name}', name), 'success');
+    logToConsole(t('profileSwitched').replace('{name}', name), 'info');
+  } catch (error) {
+    console.error('[Popup] Failed to switch profile:', error);
+    showToast(t('saveFailed'), 'error');
+  }
+}
+
+/**
+ * 设置页选择档案：把档案内容载入表单，点击保存后写回该档案
+ */
+function handleProfileSelectChange(e) {
+  const profile = ConfigManager.getProfile(e.target.value);
+  const global = ConfigManager.getGlobal();
+  
+  if (profile) {
+    elements.providerSelect.value = profile.provider;
+  }
+  handleProviderChange({ target: elements.providerSelect });
+  
+  const temperature = profile?.config.temperature || global.temperature || 0.3;
+  elements.temperature.value = temperature;
+  elements.temperatureValue.textContent = temperature;
+  elements.maxTokens.value = profile?.config.maxTokens || global.maxTokens || 2048;
+  elements.profileName.value = profile?.name || '';
+  elements.deleteProfileBtn.disabled = !profile;
+}
+
+/**
+ * 用当前表单内容新建档案并设为当前档案
+ */
+async function handleCreateProfile() {
+  const t = window.i18n.t;
+  const name = elements.profileName.value.trim();
+  if (!name) {
+    showToast(t('profileNameRequired'), 'error');
+    elements.profileName.focus();
+    return;
+  }
+  
+  // 不先往下拉框里加选项：保存成功后 updateUI 会重新渲染，校验或保存失败时也不会留下不存在的档案
+  await handleSaveSettings({ id: `profile-${Date.now().toString(36)}`, name });
+}
+
+async function handleDeleteProfile() {
+  const t = window.i18n.t;
+  const profile = ConfigManager.getProfile(elements.profileSelect.value);
+  if (!profile) return;
+  
+  try {
+    await ConfigManager.deleteProfile(profile.id);
+    currentConfig = ConfigManager.getCurrentFullConfig();
+    updateUI();
+    showToast(t('profileDeleted').replace('{name}', profile.name), 'success');
+  } catch (error) {
+    console.error('[Popup] Failed to delete profile:', error);
+    showToast(t('saveFailed'), 'error');
+  }
+}
+
+// ==================== 提示词模板库 ====================
+
+// 当前标签页的域名和标题（用于按网站选择模板和预览）
+let currentSite = '';
+let currentPageTitle = '';
+
+/**
+ * 读取当前标签页域名，显示“当前网站使用的模板”
+ */
+async function loadCurrentSite() {
+  const t = window.i18n.t;
+  const tab = await StateManager.getCurrentTab();
+  try {
+    const url = new URL(tab?.url || '');
+    currentSite = /^https?:$/.test(url.protocol) ? url.hostname : '';
+  } catch (error) {
+    currentSite = '';
+  }
+  currentPageTitle = currentSite ? tab.title || '' : '';
+  
+  elements.sitePromptTemplateGroup.style.display = currentSite ? 'block' : 'none';
+  if (currentSite) {
+    elements.sitePromptTemplateLabel.textContent = t('siteTemplate').replace('{site}', currentSite);
+    elements.sitePromptTemplate.value = currentConfig.sitePromptTemplates?.[currentSite] || '';
+  }
+  
+  renderGlossaryScopes();
+  loadGlossary();
+}
+
+function createTemplateOption(value, text) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = text;
+  return option;
+}
+
+/**
+ * 填充模板编辑、默认模板、当前网站模板三个下拉框
+ */
+function renderPromptTemplateOptions() {
+  const t = window.i18n.t;
+  const templates = ConfigManager.getTemplates();
+  const templateOptions = () => templates.map(template => createTemplateOption(template.id, template.name));
+  const editingId = ConfigManager.getTemplate(elements.promptTemplateSelect.value) ? elements.promptTemplateSelect.value : '';
+  
+  elements.promptTemplateSelect.replaceChildren(createTemplateOption('', t('newTemplate')), ...templateOptions());
+  elements.defaultPromptTemplate.replaceChildren(createTemplateOption('', t('noTemplate')), ...templateOptions());
+  elements.sitePromptTemplate.replaceChildren(createTemplateOption('', t('followDefaultTemplate')), ...templateOptions());
+  
+  elements.defaultPromptTemplate.value = ConfigManager.getTemplate(currentConfig.promptTemplate) ? currentConfig.promptTemplate : '';
+  elements.sitePromptTemplate.value = currentConfig.sitePromptTemplates?.[currentSite] || '';
+  loadTemplateIntoEditor(editingId);
+}
+
+function loadTemplateIntoEditor(templateId) {
+  const template = ConfigManager.getTemplate(templateId);
+  elements.promptTemplateSelect.value = template ? template.id : '';
+  elements.promptTemplateName.value = template?.name || '';
+  elements.promptTemplateText.value = template?.prompt || '';
+  elements.promptTemplateExamples.value = formatFewShotExamples(template?.examples);
+  elements.deletePromptTemplateBtn.disabled = !template;
+}
+
+/**
+ * few-shot 示例：每行 "原文 => 译文"，忽略没有分隔符的行
+ */
+function parseFewShotExamples(text) {
+  return text.split('\n')
+    .map(line => {
+      const index = line.indexOf('=>');
+      if (index < 0) return null;
+      const source = line.slice(0, index).trim();
+      const target = line.slice(index + 2).trim();
+      return source && target ? { source, target } : null;
+    })
+    .filter(Boolean);
+}
+
+function formatFewShotExamples(examples) {
+  return (examples || []).map(pair => `${pair.source} => ${pair.target}`).join('\n');
+}
+
+// 当前网站的模板选择合并进已保存的站点映射（选“跟随默认”则移除该站点）
+function getSitePromptTemplateSelection() {
+  const sitePromptTemplates = { ...(currentConfig.sitePromptTemplates || {}) };
+  if (!currentSite) return sitePromptTemplates;
+  
+  if (elements.sitePromptTemplate.value) {
+    sitePromptTemplates[currentSite] = elements.sitePromptTemplate.value;
+  } else {
+    delete sitePromptTemplates[currentSite];
+  }
+  return sitePromptTemplates;
+}
+
+async function handleSavePromptTemplate() {
+  const t = window.i18n.t;
+  const name = elements.promptTemplateName.value.trim();
+  const prompt = elements.promptTemplateText.value.trim();
+  if (!name || !prompt) {
+    showToast(t('templateFieldsRequired'), 'error');
+    return;
+  }
+  
+  const id = elements.promptTemplateSelect.value || `tpl-${Date.now().toString(36)}`;
+  try {
+    await ConfigManager.saveTemplate({
+      id,
+      name,
+      prompt,
+      examples: parseFewShotExamples(elements.promptTemplateExamples.value)
+    });
+    // 保留下拉框中尚未保存的默认 / 站点选择
+    const defaultId = elements.defaultPromptTemplate.value;
+    const siteId = elements.sitePromptTemplate.value;
+    elements.promptTemplateSelect.value = '';
+    renderPromptTemplateOptions();
+    elements.defaultPromptTemplate.value = defaultId;
+    elements.sitePromptTemplate.value = siteId;
+    loadTemplateIntoEditor(id);
+    showToast(t('templateSaved'), 'success');
+  } catch (error) {
+    console.error('[Popup] Failed to save prompt template:', error);
+    showToast(t('saveFailed'), 'error');
+  }
+}
+
+async function handleDeletePromptTemplate() {
+  const t = window.i18n.t;
+  const template = ConfigManager.getTemplate(elements.promptTemplateSelect.value);
+  if (!template) return;
+  
+  try {
+    await ConfigManager.deleteTemplate(template.id);
+    const global = ConfigManager.getGlobal();
+    currentConfig.promptTemplate = global.promptTemplate;
+    currentConfig.sitePromptTemplates = global.sitePromptTemplates;
+    renderPromptTemplateOptions();
+    showToast(t('templateDeleted').replace('{name}', template.name), 'success');
+  } catch (error) {
+    console.error('[Popup] Failed to delete prompt template:', error);
+    showToast(t('saveFailed'), 'error');
+  }
+}
+
+/**
+ * 预览 / 试译使用的配置：服务沿用已保存的设置，提示词取编辑中的模板（为空时用自定义提示词）
+ */
+function getPromptPreviewConfig() {
+  const prompt = elements.promptTemplateText.value.trim();
+  return {
+    ...currentConfig,
+    sourceLang: elements.sourceLang ? elements.sourceLang.value : 'auto',
+    targetLang: elements.targetLang.value,
+    translationStyle: elements.translationStyle.value,
+    structuredOutput: elements.structuredOutput ? elements.structuredOutput.checked : false,
+    customPrompt: prompt || elements.customPrompt.value.trim(),
+    fewShotExamples: prompt ? parseFewShotExamples(elements.promptTemplateExamples.value) : [],
+    pageTitle: currentPageTitle,
+    domain: currentSite,
+    templateApplied: true
+  };
+}
+
+function getPromptPreviewSample() {
+  return elements.promptPreviewSample.value.trim() || window.i18n.t('previewSampleDefault');
+}
+
+async function handlePreviewPrompt() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'previewPrompt',
+      config: getPromptPreviewConfig(),
+      text: getPromptPreviewSample()
+    });
+    if (!response || response.error) throw new Error(response?.error || 'No response');
+    elements.promptPreview.textContent = `${response.systemPrompt}\n\n────────\n${response.userPrompt}`;
+  } catch (error) {
+    console.error('[Popup] Failed to preview prompt:', error);
+    elements.promptPreview.textContent = error.message;
+  }
+}
+
+/**
+ * 用示例句真实请求一次（不走缓存），对比模板效果
+ */
+async function handleTryPrompt() {
+  const t = window.i18n.t;
+  elements.tryPromptBtn.disabled = true;
+  elements.promptPreview.textContent = t('testing');
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'translate',
+      texts: [getPromptPreviewSample()],
+      config: { ...getPromptPreviewConfig(), enableCache: false }
+    });
+    if (!response || response.error) throw new Error(response?.error || 'No response');
+    elements.promptPreview.textContent = response.translations?.[0] || '';
+  } catch (error) {
+    elements.promptPreview.textContent = `${t('tryTemplateFailed')}: ${error.message}`;
+  } finally {
+    elements.tryPromptBtn.disabled = false;
+  }
+}
+
+// ==================== 术语表 ====================
+
+const GLOBAL_GLOSSARY_SCOPE = '*';
+
+/**
+ * 范围下拉框：全局，以及当前网站（切换网站后保留原来的选择）
+ */
+function renderGlossaryScopes() {
+  const t = window.i18n.t;
+  const selected = elements.glossaryScope.value;
+  const options = [createTemplateOption(GLOBAL_GLOSSARY_SCOPE, t('glossaryGlobal'))];
+  if (currentSite) {
+    options.push(createTemplateOption(currentSite, t('glossarySite').replace('{site}', currentSite)));
+  }
+  elements.glossaryScope.replaceChildren(...options);
+  elements.glossaryScope.value = selected === currentSite && currentSite ? currentSite : GLOBAL_GLOSSARY_SCOPE;
+}
+
+async function loadGlossary() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getGlossary', scope: elements.glossaryScope.value });
+    if (!response || response.error) return;
+    setGlossaryFields(response.glossary);
+  } catch (error) {
+    console.warn('[Popup] Failed to load glossary:', error);
+  }
+}
+
+function setGlossaryFields(glossary) {
+  elements.glossaryEntries.value = formatGlossaryEntries(glossary?.entries);
+  elements.glossaryCaseSensitive.checked = glossary?.caseSensitive === true;
+  elements.glossaryWholeWord.checked = glossary?.wholeWord === true;
+  updateGlossaryStatus();
+}
+
+function updateGlossaryStatus() {
+  const count = parseGlossaryText(elements.glossaryEntries.value).length;
+  elements.glossaryStatus.textContent = count > 0 ? window.i18n.t('glossaryCount').replace('{count}', count) : '';
+}
+
+/**
+ * 术语表文本：每行 "原文,译文" 或 "原文<Tab>译文"，支持 CSV 引号；
+ * 忽略空行、# 开头的注释行和表头行，同一原文以后出现的为准
+ */
+function parseGlossaryText(text) {
+  const entries = new Map();
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    const [source = '', target = ''] = splitGlossaryLine(line, line.includes('\t') ? '\t' : ',');
+    if (index === 0 && /^(source|term|原文|术语)$/i.test(source) && /^(target|translation|译文)$/i.test(target)) return;
+    if (source && target) entries.set(source, { source, target });
+  });
+  return [...entries.values()];
+}
+
+function splitGlossaryLine(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && !field.trim()) {
+      field = '';
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+function formatGlossaryEntries(entries) {
+  const quote = value => (/[",\t]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  return (entries || []).map(entry => `${quote(entry.source)},${quote(entry.target)}`).join('\n');
+}
+
+/**
+ * 导入的术语合并进编辑框（同名术语以文件为准），保存后才生效
+ */
+async function handleImportGlossary(e) {
+  const t = window.i18n.t;
+  const file = e.target.files?.[0];
+  e.target.value = ''; // 允许再次选择同一文件
+  if (!file) return;
+  
+  try {
+    const imported = parseGlossaryText(await file.text());
+    if (imported.length === 0) {
+      showToast(t('glossaryImportEmpty'), 'error');
+      return;
+    }
+    const merged = parseGlossaryText(`${elements.glossaryEntries.value}\n${formatGlossaryEntries(imported)}`);
+    elements.glossaryEntries.value = formatGlossaryEntries(merged);
+    updateGlossaryStatus();
+    showToast(t('glossaryImported').replace('{count}', imported.length), 'success');
+  } catch (error) {
+    console.error('[Popup] Failed to import glossary:', error);
+    showToast(t('glossaryImportEmpty'), 'error');
+  }
+}
+
+async function handleSaveGlossary() {
+  const t = window.i18n.t;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'setGlossary',
+      scope: elements.glossaryScope.value,
+      glossary: {
+        entries: parseGlossaryText(elements.glossaryEntries.value),
+        caseSensitive: elements.glossaryCaseSensitive.checked,
+        wholeWord: elements.glossaryWholeWord.checked
+      }
+    });
+    if (!response || response.error) throw new Error(response?.error || 'No response');
+    setGlossaryFields(response.glossary);
+    showToast(t('glossarySaved'), 'success');
+  } catch (error) {
+    console.error('[Popup] Failed to save glossary:', error);
+    showToast(t('saveFailed'), 'error');
+  }
+}
+
+// ==================== 不翻译规则 ====================
+
+// 常用规则：版本号、命令行参数、文件路径、@提及、工单号、代码标识符
+const PROTECTED_PATTERN_PRESETS = [
+  '\\bv?\\d+(?:\\.\\d+){1,3}(?:-[\\w.]+)?\\b',
+  '(?<![\\w-])--?[A-Za-z][\\w-]*(?:=\\S+)?',
+  '(?:~|\\.{1,2})?(?:/[\\w.-]+){2,}/?',
+  '(?<![\\w.])@[\\w-]+(?:/[\\w.-]+)?',
+  '\\b[A-Z][A-Z0-9]+-\\d+\\b',
+  '\\b[a-z]+(?:_[a-z0-9]+)+\\b|\\b[a-z]+(?:[A-Z][a-z0-9]*)+\\b'
+];
+
+// 每行一条正则，忽略空行
+function parseProtectedPatterns(text) {
+  return [...new Set(text.split('\n').map(line => line.trim()).filter(Boolean))];
+}
+
+// 与 service worker 一致：Unicode 模式或普通模式能编译即可
+function isValidPattern(pattern) {
+  return ['u', ''].some(flags => {
+    try {
+      new RegExp(pattern, flags);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+function handleAddPatternPresets() {
+  const patterns = parseProtectedPatterns(elements.protectedPatterns.value);
+  elements.protectedPatterns.value = [...new Set([...patterns, ...PROTECTED_PATTERN_PRESETS])].join('\n');
+}
+
+// ==================== 模型列表 ====================
+
+let availableModels = null; // null 表示尚未获取
+let modelListTimer = null;
+let modelListSeq = 0;
+
+// 输入地址或密钥时稍等再刷新，避免每次按键都发请求
+function scheduleModelListRefresh() {
+  clearTimeout(modelListTimer);
+  modelListTimer = setTimeout(refreshModelList, 600);
+}
+
+/**
+ * 从 Ollama /api/tags 或 OpenAI 兼容的 /models 获取模型，作为模型名称的下拉候选
+ */
+async function refreshModelList() {
+  clearTimeout(modelListTimer);
+  const t = window.i18n.t;
+  const provider = elements.providerSelect.value;
+  const endpoint = elements.apiEndpoint.value.trim();
+  const apiKey = elements.apiKey.value.trim();
+  const seq = ++modelListSeq;
+  
+  const supported = !!getModelListStyle(provider);
+  elements.refreshModelsBtn.style.display = supported ? 'flex' : 'none';
+  if (!supported || !endpoint || (checkNeedsApiKey(provider) && !apiKey)) {
+    setModelOptions(null);
+    return;
+  }
+  
+  elements.refreshModelsBtn.classList.add('loading');
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'listModels',
+      config: { provider, apiEndpoint: endpoint, apiKey, ...getCustomApiFieldValues() }
+    });
+    // 期间又触发了新的刷新，丢弃旧结果
+    if (seq !== modelListSeq) return;
+    
+    if (!response || response.error) {
+      setModelOptions(null);
+      setModelStatus(t('modelListFailed').replace('{error}', response?.error || ''), 'warning');
+      return;
+    }
+    setModelOptions(response.models);
+  } catch (error) {
+    console.warn('[Popup] Failed to list models:', error);
+  } finally {
+    if (seq === modelListSeq) {
+      elements.refreshModelsBtn.classList.remove('loading');
+    }
+  }
+}
+
+function setModelOptions(models) {
+  availableModels = models;
+  elements.modelOptions.replaceChildren(...(models || []).map(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    return option;
+  }));
+  updateModelStatus();
+}
+
+// 列表已加载但当前模型不在其中时提醒（Ollama 否则会报“模型未找到”）
+function updateModelStatus() {
+  const t = window.i18n.t;
+  if (!availableModels) {
+    setModelStatus('');
+    return;
+  }
+  
+  const model = elements.modelName.value.trim();
+  if (availableModels.length === 0) {
+    setModelStatus(t('modelListEmpty'), 'warning');
+  } else if (model && !availableModels.includes(model) && !availableModels.includes(`${model}:latest`)) {
+    // Ollama 的 "qwen3" 等同于 "qwen3:latest"
+    setModelStatus(t('modelNotInList').replace('{count}', availableModels.length), 'warning');
+  } else {
+    setModelStatus(t('modelListLoaded').replace('{count}', availableModels.length));
+  }
+}
+
+function setModelStatus(text, type = '') {
+  elements.modelStatus.textContent = text;
+  elements.modelStatus.className = `model-status ${type}`.trim();
+}
+
 // ==================== 内容脚本通信 ====================
 
 /**
@@ -998,7 +2329,7 @@ async function injectContentScript(tabId) {
     // 注入 JS
     await chrome.scripting.executeScript({
       target: { tabId },
-      files: ['content/content.js']
+      files: ['shared/providers.js', 'shared/langdetect.js', 'content/content.js']
     });
     
     return true;
@@ -1441,12 +2772,19 @@ async function handleTestApi() {
   const t = window.i18n.t;
   const endpoint = elements.apiEndpoint.value.trim();
   const apiKey = elements.apiKey.value.trim();
-  const model = elements.modelName.value.trim();
   const provider = elements.providerSelect.value;
-  
-  // Ollama 不需要 API Key
-  const needsApiKey = provider !== 'ollama';
-  if (!endpoint || (needsApiKey && !apiKey)) {
+  const azure = getAzureFieldValues();
+  const model = provider === 'azure' ? azure.azureDeployment : elements.modelName.value.trim();
+  
+  // Ollama、LibreTranslate 等不需要 API Key
+  const needsApiKey = checkNeedsApiKey(provider);
+  // Azure 不使用 endpoint 字段，改为检查资源名和部署名；DeepL 的 endpoint 可留空
+  let hasEndpoint = !!endpoint;
+  if (provider === 'azure') hasEndpoint = !!(azure.azureResource && azure.azureDeployment);
+  if (provider === 'deepl') hasEndpoint = true;
+  const appCredentials = getAppCredentialValues();
+  const missingAppId = checkNeedsAppId(provider) && !appCredentials.appId;
+  if (!hasEndpoint || missingAppId || (needsApiKey && !apiKey)) {
     showToast(t('fillApiAndKey'), 'error');
     return;
   }
@@ -1462,6 +2800,10 @@ async function handleTestApi() {
         apiEndpoint: endpoint, 
         apiKey, 
         modelName: model,
+        ...azure,
+        ...getDeepLFieldValues(),
+        ...appCredentials,
+        ...getCustomApiFieldValues(),
         targetLang: elements.targetLang.value
       }
     });
@@ -1484,14 +2826,34 @@ async function handleTestApi() {
   }
 }
 
-// 处理保存设置
-async function handleSaveSettings() {
+// 处理保存设置；newProfile（{ id, name }）用于新建档案：表单内容存进新档案并设为当前档案
+async function handleSaveSettings(newProfile = null) {
+  if (elements.providerSelect.value === 'custom' && !isValidBodyTemplate(getCustomApiFieldValues().customBodyTemplate)) {
+    showToast(window.i18n.t('invalidBodyTemplate'), 'error');
+    return;
+  }
+  
+  const protectedPatterns = parseProtectedPatterns(elements.protectedPatterns.value);
+  const invalidPattern = protectedPatterns.find(pattern => !isValidPattern(pattern));
+  if (invalidPattern) {
+    showToast(window.i18n.t('invalidProtectedPattern').replace('{pattern}', invalidPattern), 'error');
+    return;
+  }
+  
+  const previousProfile = { activeProfile: currentConfig.activeProfile, profileName: currentConfig.profileName };
+  
   currentConfig = {
     ...currentConfig,
     provider: elements.providerSelect.value,
     apiEndpoint: elements.apiEndpoint.value.trim(),
     apiKey: elements.apiKey.value.trim(),
     modelName: elements.modelName.value.trim(),
+    ...getAzureFieldValues(),
+    ...getDeepLFieldValues(),
+    ...getAppCredentialValues(),
+    ...getRateLimitValues(),
+    ...getRetryFieldValues(),
+    ...getCustomApiFieldValues(),
     sourceLang: elements.sourceLang ? elements.sourceLang.value : 'auto',
     targetLang: elements.targetLang.value,
     translationStyle: elements.translationStyle.value,
@@ -1500,10 +2862,36 @@ async function handleSaveSettings() {
     customPrompt: elements.customPrompt.value.trim(),
     maxTokens: parseInt(elements.maxTokens.value) || 2048,
     temperature: parseFloat(elements.temperature.value) || 0.3,
-    maxConcurrent: clampMaxConcurrent(elements.maxConcurrent?.value)
+    maxConcurrent: clampMaxConcurrent(elements.maxConcurrent?.value),
+    enableCache: elements.enableCache ? elements.enableCache.checked : true,
+    enableStreaming: elements.enableStreaming ? elements.enableStreaming.checked : true,
+    structuredOutput: elements.structuredOutput ? elements.structuredOutput.checked : false,
+    contextMode: elements.contextMode ? elements.contextMode.checked : false,
+    richText: elements.richText ? elements.richText.checked : false,
+    protectedPatterns,
+    fallbackProviders: getFallbackSelection(),
+    activeProfile: newProfile ? newProfile.id : elements.profileSelect.value,
+    profileName: newProfile ? newProfile.name : elements.profileName.value.trim(),
+    promptTemplate: elements.defaultPromptTemplate.value,
+    sitePromptTemplates: getSitePromptTemplateSelection()
   };
   
-  await saveConfig();
+  // Azure 用部署名代替模型名（缓存、统计等按模型区分的地方都能直接使用）
+  if (currentConfig.provider === 'azure') {
+    currentConfig.modelName = currentConfig.azureDeployment;
+  }
+  
+  const saved = await saveConfig();
+  if (!saved && newProfile) {
+    // 新档案没有存上，不能作为当前档案留在内存里
+    Object.assign(currentConfig, previousProfile);
+  }
+  currentConfig.profileName = ConfigManager.getActiveProfile()?.name || '';
+  try {
+    await savePriceTable();
+  } catch (error) {
+    console.warn('[Popup] Failed to save price table:', error);
+  }
   updateUI();
 }
 
@@ -0,0 +1,174 @@
+/**
+ * Open Immerse Translate - Offline Language Detection
+ *
+ * 本地语言识别，不发任何网络请求。在 content script 中使用。
+ * 先按文字系统区分（汉字 / 假名 / 韩文 / 泰文 / 阿拉伯文 / 西里尔文），
+ * 拉丁字母语言再用三元组（trigram）频率画像比较。
+ */
+
+/**
+ * Below minLetters we don't guess; below minConfidence the result is unknown.
+ * `lenient` is fine for display (the page language in the popup); `strict` is
+ * for decisions that change what gets translated (skipping a block, setting
+ * sourceLang), where short UI strings like "API reference" must not count.
+ */
+const LANGDETECT_THRESHOLDS = {
+  lenient: { minLetters: { cjk: 4, other: 12 }, minConfidence: 0.5 },
+  strict: { minLetters: { cjk: 10, other: 40 }, minConfidence: 0.8 }
+};
+
+/** Only the most frequent trigrams of the input are compared */
+const LANGDETECT_MAX_TRIGRAMS = 300;
+
+const LANGDETECT_SCRIPTS = {
+  han: /\p{Script=Han}/u,
+  kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/u,
+  hangul: /\p{Script=Hangul}/u,
+  thai: /\p{Script=Thai}/u,
+  arabic: /\p{Script=Arabic}/u,
+  cyrillic: /\p{Script=Cyrillic}/u,
+  latin: /\p{Script=Latin}/u
+};
+
+/** Scripts that map to exactly one supported language */
+const LANGDETECT_SCRIPT_LANGS = {
+  hangul: 'ko',
+  thai: 'th',
+  arabic: 'ar',
+  cyrillic: 'ru'
+};
+
+// Characters that only appear in one of the two Chinese scripts, used to tell zh-CN from zh-TW
+const LANGDETECT_SIMPLIFIED = new Set('这们个国说时会为发对来过还进经现样学么话让问间见开关书实点无爱给从业电动长门车东网页应该没与产种员优线载号际处级务边认体'.split(''));
+const LANGDETECT_TRADITIONAL = new Set('這們個國說時會為發對來過還進經現樣學麼話讓問間見開關書實點無愛給從業電動長門車東網頁應該沒與產種員優線載號際處級務邊認體'.split(''));
+
+/**
+ * 拉丁字母语言的 trigram 画像：按频率从高到低，以 | 分隔（空格表示词边界）
+ */
+const LANGDETECT_PROFILES = {
+  en: " th|the|he |nd | an|and|at | yo|on |you| of| to|d t|e a|to |e t|ed |of | on|hat|ou |t t|ver| in| wh|e w|ion|tha| co| ha| re|er |eve|is |n t|our|re |s a| a |e o|es |ll |s w|tio|ts |ur |ve | be| wi| wo|as |e r|e s|f t|for|in |ing|ng |nt |rea|se |t h|t o|thi| ar| he| ho| mo| ne| sh| wa| we|ate|ay |k a|oun|r a|s s|s t|st |t i| at| fo| se| so| st| us|all|ati|ave|ck |con|cre|d w|e c|e n|e y|ent|est|hav|his|how|ld |le |n o|ome|or |oul|ow |r s|t a|uld|ut | al| ca| ch| de| do| fi| is| no| ou| te|an |are|com|day|eas|en |ese|ew |it |ke |men|ne |o t|ork|r t|ry |s h|t y|te |ter|tes|th |us |we |whe|wor|y t| ac| bu| ev| ex| fe| fr| it| mi| pl| pr| qu| su| tr|acc|ack|ad |ake|ase|ble|but|can|cco|cha|cou|ct |d a|d c|d m|e d|e i|e m|eat|erv|ery|g t|ght|h t|han|has|hei|hen|hes|hou|igh|ill|inu|ir |ith|ive|lat",
+  fr: "es |nt |us |que| le|re | de|ent| qu|ous|et | vo|ns |ez |le |les| et| no|e d|er |s e|ur | co|de |s a|tre|ue |vou| la|ant| ce|la |men|s d|e s|ion|ons|ont|s c|s l|s p| au| su|t d|ts | pa|e l|e v|est|it |lle|nou|otr|our|r l|tio| av| en| pl| po| ré|cha|des|e c|t l|t p| ch| es| il| un|con|dan|end|eur|il |ne |on |plu|pou|sur|t a|te |uve| a | d | pr|ait|ce |e p|lus|nte|ouv|s r|s t|t c|t q|un |ux |vez| da| do| dé| ex| ma| se| tr| à | ét|ans|ati|au |ava|ave|ces|com|d a|e e|e q|e r|eme|min|n c|ndr|onn|qui|rs |s q|st |t e|tes|ues|ui |ven|vot|ées| el| pe| re| te| to| ve|a d|ail|ain|ais|art|aux|dev|don|dre|e n|e t|eau|ell|elq|en |ens|ill|ire|is |lqu|mai|n p|nce|nne|not|nts|pon|pro|res|s i|s m|s n|ser|son|tai|ter|tou|tra|u c|uel|ure|urs|ute|vai|van|ver|ère| al| ar| di| du| fa| in| l | lo| mi| n | si|air",
+  de: "en |ie |er | si| di|die| un|sie|ten|nd | de|der|n d|und| da|n u|sch| wi|den|e a|n s|ste| au|e d|ein|n w|r s| ei| er|gen|ung| we|auf|es |hen|abe|cht|das|ere|hre|ich|in |n a|n e|nde|ren|te |uf | an| be| ha| in| zu|ben|ch |che|e s|eit|ese|nen|ser|uns| ge| ih| mi|am |em |ies|ige|ihr|on |wir| sc| wa|ar |as |e m|ine|ion|it |llt|men|n m|n n|ng |nge|rde|s s|ss |t d|ver|wen| ar| me| st| ve|an |ass|bei|ber|des|e e|e v|ens|ers|est|for|ge |hab|ier|ite|ken|lte|m d|nne|ns |nut|r e|rei|rt |run|se |st |t a|ute|wie| ab| al| am| fü| je| ko| nu| re| so| vo|ag |aus|e k|e n|e r|ede|ell|end|ern|eru|f d|fig|h d|hr |hte|ind|ir |ist|jed|kon|lle|lt |m b|mit|n f|n p|nke|nn |nse|nst|nte|r d|r w|rau|rbe|stu|t w|tag|ter|tio|um |utz|war|zu |zun|äch| bi| fo| fr| is| kö| la| ne| ni| pa| pr| se| te|ach|age|ahr|all|ank|arb",
+  es: "os | de|en |as |de |est| qu|que| en| es| la|ar |el | el| y |ue | co|ent|la |e e|es |nte|te |e l|con|n e|s p| un|a c|do |nta|s d| ha| pa| pr| se| si| su|ien|ra |tos|ón | lo| nu| pe| re|aci|ant|ión|mos|nos|o d|o e|s c|tra|ía | al|a e|a p|ció|las|nue|on |per|r l|s e|ta |to |ues| a | ca| in| má| no|a d|e d|gun|ido|lo |los|más|n c|n s|na |no |res|s a|s l|s y|se |ste|str|ás | cu| to|a l|e a|e q|e s|e u|ier|min|n n|o a|o s|or |r e|ro |s m|s r|su |tie|tod|tro|uno|ura| cr| le| ti| tr|a n|a s|aba|ado|alg|amb|an |baj|cre|cto|cue|da |e p|ect|egu|ene|er |ere|ero|esc|ici|igu|io |ios|mbi|n p|n q|n y|ne |nes|o c|o l|par|por|pue|r a|rar|rec|reg|s s|ser|sta|sto|tac|tar|tes|un |una| an| có| di| lu| mi| po| pu| so| ta| us| vi|a a|a m|a t|a y|ace|ada|amo|and|art|be |ble|cam|cid|cio|com|cóm|del|des|dos|e h|e n",
+  pt: "os |as | co|ar | qu| se|de |que| de| a | e |ent|ue |s e| es| no| o |com|em |te |es |est|ra |ão | pa|do |nte|o e|s d| ma| re|a c|con|e e|er |nos|nta|r a|a e|a s|da |e a|mos|o a| pe| pr| te| vo|ais|dos|ela|is |ma |mai|par|s p| al| em| su| um|a d|a p|ant|ara|e d|e s|gun|no |o s|om |s c|s m|s n|se |sta|ta |to |tos|ver| di| el| en| os|a a|alg|am |cê |e c|e o|e q|e v|la |m a|na |o d|o n|ocê|res|s a|s r|ser|ssa|tar|tes|tra|voc| as| do| na| po| to|a m|a n|a t|amo|e n|e t|ess|lgu|mo |ns |nto|o p|ont|oss|ou |r o|r p|ste|tod|uma|uns| an| da| le| tr| ve|aba|ado|and|art|açã|dis|e p|egu|eir|equ|ias|ica|ida|ira|ito|ive|lha|m n|m p|men|ndo|ntr|o c|odo|omo|or |qui|r e|ria|rti|s o|s s|s t|sa |sso|sua|tiv|ura|ção| ca| cr| ex| in| mu| ne| nã| ta| ti| va|a f|a q|a v|ade|alh|bal|ca |cer|cio|co |cre|das|des|e l",
+  it: "re |to |no |te |ti | co| di|che| e | qu|are|di |he | ch| la|e c|la | il|con|e i|e l|il | al| in| no|a s|e a|ent|le |que| de| pr| su|a d|est|ne |o s| se|do |e d|ere|ion|ni |o a|o c|o d|per|ra |zio| pa| pe| ri|ate|e s|er |i d|o e|o i|ost|ro |sul|ues| ha| le| pi| un|ett|i a|i c|i p|min|mo |o p|on |one|str|ver| do| è |a c|and|azi|com|e p|e r|ete|i e|li |ma |ndo|nti|o l|ono|pro|ta |tto|tut| es| i | tu|a p|acc|ann|ano|ato|del|e u|ess|gio|ha |i i|i n|i s|in |io |iù |l p|men|nos|nta|nte|più|qua|se |ser|ssi|sta|tat|ter|tro|un |utt| ac| an| ca| gi| ma| ne| po| sc| si| st| ve|a g|a n|alc|all|ari|ass|ati|e e|e q|e t|ell|erv|gli|i l|i m|i r|i t|ia |iva|ll |lla|mi |n n|non|ogn|olo|oni|ora|orn|ove|pri|ri |ris|riv|so |spe|ste|sto|tra|tta|ul |ume|uni|vor| a | as| av| cr| da| er| fa| gl| l | mi| mo| nu| og",
+  vi: "ng | ch| th| tr| nh| và|g t|và | kh|nh |ên | bạ|bạn|g c|n c|ạn | củ| ph|của|ủa |chú|hún|n t|úng|ới | cá| có|ch |có |i n|ất | nà| qu| vi|các|i t|n m|y c| ng|ài |ày |ông| gi| là| tô|a c|g v|hi |i đ|này|o t|tôi|u h|việ|y đ|ác |ôi | vớ|ay |c t|g n|hôn|hữn|i c|i l|i s|iên|iệc|khi|m t|n n|nhữ|ong|ron|t c|t v|tro|với|à c|ách|ước|ấy |ết |ều |ệc |ớc |ững| mộ| sẽ| ti| đã|cho|h c|h v|ho |i k|iều|làm|m v|một|nhấ|sẽ |àm |ào |đã |ằng|ột |ời | câ| cô| dụ| ho| lạ| rằ| số| ta| tà| đi|anh|c h|c đ|g b|g g|hìn|hất|hứ |i b|i v|khô|lại|qua|quy|rên|rằn|t t|t đ|ta |tha|thứ|tra|trê|trư|u c|y n|ó t|ăng|ại |ải |ản |ầu |ến |ống| bà| bả| cả| cầ| ha| hã| hì| họ| li| mớ| nă| tă| vậ| độ| ấy|a b|a t|ai |ao |c v|chi|câu|dụn|g d|g h|g l|g p|g s|gườ|h n|h t|hay|hiề|hoả|hãy|hấy|hể |hệ |kho|mới|n h|n k|n v|n đ|ngh|ngư|nhi|năm",
+};
+
+let langdetectRanks = null;
+
+function getProfileRanks() {
+  if (!langdetectRanks) {
+    langdetectRanks = {};
+    for (const [lang, profile] of Object.entries(LANGDETECT_PROFILES)) {
+      langdetectRanks[lang] = new Map(profile.split('|').map((gram, rank) => [gram, rank]));
+    }
+  }
+  return langdetectRanks;
+}
+
+/**
+ * 识别文本语言
+ * @param {string} text
+ * @param {{strict?: boolean}} [options] - strict 使用更高的长度和置信度门槛
+ * @returns {{lang: string, confidence: number} | null} 文本太短或无法可靠判断时返回 null
+ */
+function detectLanguage(text, { strict = false } = {}) {
+  if (!text) return null;
+  const thresholds = strict ? LANGDETECT_THRESHOLDS.strict : LANGDETECT_THRESHOLDS.lenient;
+  const counts = countScripts(text);
+  const cjk = counts.han + counts.kana + counts.hangul;
+  let dominant = 'latin';
+  for (const script of Object.keys(counts)) {
+    if (counts[script] > counts[dominant]) dominant = script;
+  }
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  const minLetters = cjk > 0 ? thresholds.minLetters.cjk : thresholds.minLetters.other;
+  if (total < minLetters || counts[dominant] === 0) return null;
+
+  let result;
+  if (dominant === 'han' || dominant === 'kana') {
+    // Japanese mixes kanji with kana; Chinese has (almost) none
+    result = counts.kana >= (counts.han + counts.kana) * 0.1
+      ? { lang: 'ja', confidence: (counts.han + counts.kana) / total }
+      : { lang: detectChineseVariant(text), confidence: counts.han / total };
+  } else if (dominant === 'latin') {
+    result = detectLatinLanguage(text);
+    if (result) result.confidence *= counts.latin / total;
+  } else {
+    result = { lang: LANGDETECT_SCRIPT_LANGS[dominant], confidence: counts[dominant] / total };
+  }
+
+  if (!result || result.confidence < thresholds.minConfidence) return null;
+  result.confidence = Math.round(result.confidence * 100) / 100;
+  return result;
+}
+
+function countScripts(text) {
+  const counts = { han: 0, kana: 0, hangul: 0, thai: 0, arabic: 0, cyrillic: 0, latin: 0 };
+  for (const char of text) {
+    for (const script in LANGDETECT_SCRIPTS) {
+      if (LANGDETECT_SCRIPTS[script].test(char)) {
+        counts[script]++;
+        break;
+      }
+    }
+  }
+  return counts;
+}
+
+function detectChineseVariant(text) {
+  let simplified = 0;
+  let traditional = 0;
+  for (const char of text) {
+    if (LANGDETECT_SIMPLIFIED.has(char)) simplified++;
+    else if (LANGDETECT_TRADITIONAL.has(char)) traditional++;
+  }
+  return traditional > simplified ? 'zh-TW' : 'zh-CN';
+}
+
+/**
+ * 拉丁字母语言：out-of-place 距离（Cavnar & Trenkle），距离最小者胜出；
+ * 置信度取最优与次优之间的相对差距
+ */
+function detectLatinLanguage(text) {
+  const grams = extractTrigrams(text);
+  if (grams.length === 0) return null;
+
+  const ranks = getProfileRanks();
+  const scores = [];
+  for (const [lang, profile] of Object.entries(ranks)) {
+    const penalty = profile.size;
+    let distance = 0;
+    grams.forEach((gram, rank) => {
+      const profileRank = profile.get(gram);
+      distance += profileRank === undefined ? penalty : Math.abs(profileRank - rank);
+    });
+    scores.push({ lang, distance: distance / (grams.length * penalty) });
+  }
+  scores.sort((a, b) => a.distance - b.distance);
+
+  const [best, second] = scores;
+  // Mostly unknown trigrams: some Latin-script language we have no profile for
+  if (best.distance > 0.9) return null;
+  // A gap of ~12% between the two closest profiles already counts as certain
+  const margin = (second.distance - best.distance) / second.distance;
+  return { lang: best.lang, confidence: Math.min(1, margin * 8) };
+}
+
+/**
+ * 输入文本的 trigram，按出现次数从高到低
+ */
+function extractTrigrams(text) {
+  const normalized = ` ${text.normalize('NFC').toLowerCase().replace(/[^\p{L}\p{M}]+/gu, ' ').trim()} `;
+  const counts = new Map();
+  for (let i = 0; i < normalized.length - 2; i++) {
+    const gram = normalized.slice(i, i + 3);
+    if (gram.includes('  ')) continue;
+    counts.set(gram, (counts.get(gram) || 0) + 1);
+  }
+  return [...counts]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, LANGDETECT_MAX_TRIGRAMS)
+    .map(([gram]) => gram);
+}
@@ -13,8 +13,71 @@ const PROVIDER_DEFAULTS = {
     apiKey: '',
     hintKey: 'hintGoogle',
     needsApiKey: false,
+    streaming: false,
+    batchRequests: true,
+    contextWindow: 1200,
     displayName: 'Google 翻译'
   },
+  deepl: {
+    id: 'deepl',
+    endpoint: '',
+    model: '',
+    apiKey: '',
+    hintKey: 'hintDeepL',
+    needsApiKey: true,
+    streaming: false,
+    contextWindow: 8000,
+    displayName: 'DeepL'
+  },
+  baidu: {
+    id: 'baidu',
+    endpoint: 'https://fanyi-api.baidu.com/api/trans/vip/translate',
+    model: '',
+    apiKey: '',
+    hintKey: 'hintBaidu',
+    needsApiKey: true,
+    needsAppId: true,
+    streaming: false,
+    contextWindow: 1500,
+    displayName: '百度翻译'
+  },
+  youdao: {
+    id: 'youdao',
+    endpoint: 'https://openapi.youdao.com/v2/api',
+    model: '',
+    apiKey: '',
+    hintKey: 'hintYoudao',
+    needsApiKey: true,
+    needsAppId: true,
+    streaming: false,
+    contextWindow: 1500,
+    displayName: '有道智云'
+  },
+  tencent: {
+    id: 'tencent',
+    endpoint: 'https://tmt.tencentcloudapi.com',
+    model: '',
+    region: 'ap-guangzhou',
+    apiKey: '',
+    hintKey: 'hintTencent',
+    needsApiKey: true,
+    needsAppId: true,
+    streaming: false,
+    contextWindow: 1500,
+    displayName: '腾讯翻译'
+  },
+  libretranslate: {
+    id: 'libretranslate',
+    endpoint: 'http://localhost:5000',
+    model: '',
+    apiKey: '',
+    hintKey: 'hintLibreTranslate',
+    needsApiKey: false,
+    optionalApiKey: true,
+    streaming: false,
+    contextWindow: 2000,
+    displayName: 'LibreTranslate'
+  },
   deepseek: {
     id: 'deepseek',
     endpoint: 'https://api.deepseek.com/v1/chat/completions',
@@ -22,6 +85,11 @@ const PROVIDER_DEFAULTS = {
     apiKey: '',
     hintKey: 'hintDeepSeek',
     needsApiKey: true,
+    streaming: true,
+    structuredOutput: true,
+    modelList: 'openai',
+    contextWindow: 65536,
+    maxOutputTokens: 8192,
     displayName: 'DeepSeek'
   },
   openai: {
@@ -31,6 +99,11 @@ const PROVIDER_DEFAULTS = {
     apiKey: '',
     hintKey: 'hintOpenAI',
     needsApiKey: true,
+    streaming: true,
+    structuredOutput: true,
+    modelList: 'openai',
+    contextWindow: 128000,
+    maxOutputTokens: 16384,
     displayName: 'OpenAI'
   },
   anthropic: {
@@ -40,8 +113,39 @@ const PROVIDER_DEFAULTS = {
     apiKey: '',
     hintKey: 'hintAnthropic',
     needsApiKey: true,
+    streaming: true,
+    structuredOutput: true,
+    contextWindow: 200000,
+    maxOutputTokens: 4096,
     displayName: 'Claude'
   },
+  gemini: {
+    id: 'gemini',
+    endpoint: 'https://generativelanguage.googleapis.com/v1beta',
+    model: 'gemini-2.0-flash',
+    apiKey: '',
+    hintKey: 'hintGemini',
+    needsApiKey: true,
+    streaming: true,
+    structuredOutput: true,
+    contextWindow: 1048576,
+    maxOutputTokens: 8192,
+    displayName: 'Gemini'
+  },
+  azure: {
+    id: 'azure',
+    endpoint: '',
+    model: '',
+    apiVersion: '2024-10-21',
+    apiKey: '',
+    hintKey: 'hintAzure',
+    needsApiKey: true,
+    streaming: true,
+    structuredOutput: true,
+    contextWindow: 128000,
+    maxOutputTokens: 16384,
+    displayName: 'Azure OpenAI'
+  },
   moonshot: {
     id: 'moonshot',
     endpoint: 'https://api.moonshot.cn/v1/chat/completions',
@@ -49,6 +153,11 @@ const PROVIDER_DEFAULTS = {
     apiKey: '',
     hintKey: 'hintMoonshot',
     needsApiKey: true,
+    streaming: true,
+    structuredOutput: true,
+    modelList: 'openai',
+    contextWindow: 8192,
+    maxOutputTokens: 4096,
     displayName: 'Moonshot'
   },
   zhipu: {
@@ -58,6 +167,11 @@ const PROVIDER_DEFAULTS = {
     apiKey: '',
     hintKey: 'hintZhipu',
     needsApiKey: true,
+    streaming: true,
+    structuredOutput: true,
+    modelList: 'openai',
+    contextWindow: 128000,
+    maxOutputTokens: 4095,
     displayName: '智谱 GLM'
   },
   ollama: {
@@ -67,6 +181,11 @@ const PROVIDER_DEFAULTS = {
     apiKey: '',
     hintKey: 'hintOllama',
     needsApiKey: false,
+    streaming: true,
+    structuredOutput: true,
+    modelList: 'ollama',
+    contextWindow: 4096,
+    maxOutputTokens: 2048,
     displayName: 'Ollama'
   },
   custom: {
@@ -76,6 +195,11 @@ const PROVIDER_DEFAULTS = {
     apiKey: '',
     hintKey: 'hintCustom',
     needsApiKey: true,
+    streaming: true,
+    structuredOutput: true,
+    modelList: 'openai',
+    contextWindow: 8192,
+    maxOutputTokens: 2048,
     displayName: '自定义 API'
   }
 };
@@ -93,6 +217,160 @@ function checkNeedsApiKey(providerId) {
   return def ? def.needsApiKey !== false : true;
 }
 
+function checkNeedsAppId(providerId) {
+  return PROVIDER_DEFAULTS[providerId]?.needsAppId === true;
+}
+
+function checkSupportsStreaming(providerId) {
+  return PROVIDER_DEFAULTS[providerId]?.streaming === true;
+}
+
+function checkSupportsStructuredOutput(providerId) {
+  return PROVIDER_DEFAULTS[providerId]?.structuredOutput === true;
+}
+
+// How to discover available models: 'ollama' (/api/tags), 'openai' (/v1/models) or null
+function getModelListStyle(providerId) {
+  return PROVIDER_DEFAULTS[providerId]?.modelList || null;
+}
+
+// Providers whose API returns one result per input text, so whole batches stay aligned
+function checkSupportsBatchRequests(providerId) {
+  return PROVIDER_DEFAULTS[providerId]?.batchRequests === true;
+}
+
+// ==================== Provider Profiles ====================
+
+/**
+ * Named profiles (e.g. "DeepSeek work key") override the saved config of their
+ * provider: endpoint, key, model, temperature, maxTokens and provider-specific fields.
+ * Stored as [{ id, name, provider, config }] under the `providerProfiles` sync key.
+ * Returns the profile selected by globalConfig.activeProfile, or null.
+ */
+function findActiveProfile(globalConfig, profiles) {
+  const id = globalConfig?.activeProfile;
+  if (!id || !Array.isArray(profiles)) return null;
+  return profiles.find(profile => profile?.id === id && PROVIDER_DEFAULTS[profile.provider]) || null;
+}
+
+// ==================== Runtime Config ====================
+
+/**
+ * Map a saved provider config (providerConfigs[id], with the active profile's
+ * config merged over it) to the provider fields of the runtime config that
+ * translation requests use. The service worker, content script and popup all
+ * build their config through this, so stored keys and defaults stay in one place.
+ * @param {string} providerId
+ * @param {object} saved - stored keys: endpoint, model, apiKey, resource, rpm, ...
+ * @returns {object}
+ */
+function getProviderRuntimeConfig(providerId, saved = {}) {
+  const defaults = PROVIDER_DEFAULTS[providerId] || PROVIDER_DEFAULTS.custom;
+  return {
+    provider: providerId,
+    apiEndpoint: saved.endpoint || defaults.endpoint || '',
+    apiKey: saved.apiKey || '',
+    modelName: saved.model || defaults.model || '',
+    azureResource: saved.resource || '',
+    azureDeployment: saved.deployment || '',
+    azureApiVersion: saved.apiVersion || PROVIDER_DEFAULTS.azure.apiVersion,
+    deeplFormality: saved.formality || 'default',
+    deeplGlossaryId: saved.glossaryId || '',
+    appId: saved.appId || '',
+    region: saved.region || defaults.region || '',
+    rpmLimit: saved.rpm || 0,
+    tpmLimit: saved.tpm || 0,
+    requestTimeout: saved.timeout || 0,
+    maxRetries: Number.isInteger(saved.retries) ? saved.retries : null,
+    customHeaders: saved.headers || '',
+    customAuthStyle: saved.authStyle || 'bearer',
+    customAuthName: saved.authName || '',
+    customBodyTemplate: saved.bodyTemplate || '',
+    customResponsePath: saved.responsePath || ''
+  };
+}
+
+// ==================== Token Estimation & Batch Budget ====================
+
+/**
+ * Known model limits, matched by model-name prefix (first match wins).
+ * Provider-level `contextWindow` / `maxOutputTokens` are used when the model
+ * is unknown (custom deployments, local models).
+ */
+const MODEL_TOKEN_LIMITS = [
+  { prefix: 'gpt-4o', context: 128000, output: 16384 },
+  { prefix: 'gpt-4.1', context: 1047576, output: 32768 },
+  { prefix: 'gpt-3.5-turbo', context: 16385, output: 4096 },
+  { prefix: 'deepseek-', context: 65536, output: 8192 },
+  { prefix: 'claude-3-haiku', context: 200000, output: 4096 },
+  { prefix: 'claude-3-opus', context: 200000, output: 4096 },
+  { prefix: 'claude-', context: 200000, output: 8192 },
+  { prefix: 'gemini-', context: 1048576, output: 8192 },
+  { prefix: 'moonshot-v1-8k', context: 8192, output: 4096 },
+  { prefix: 'moonshot-v1-32k', context: 32768, output: 8192 },
+  { prefix: 'moonshot-v1-128k', context: 131072, output: 8192 },
+  { prefix: 'glm-4', context: 128000, output: 4095 }
+];
+
+/** Input tokens we aim for per request; larger batches delay the first paint */
+const TARGET_BATCH_TOKENS = 1200;
+
+/** Tokens reserved for the system prompt and format instructions */
+const PROMPT_OVERHEAD_TOKENS = 400;
+
+/** Separator / JSON id cost per item, on both input and output */
+const PER_ITEM_OVERHEAD_TOKENS = 16;
+
+/** Translated text can be longer than the source (e.g. Latin -> CJK token counts) */
+const OUTPUT_EXPANSION = 2;
+
+/**
+ * Rough token count without a tokenizer.
+ * CJK ideographs / kana / hangul cost about one token each, other non-Latin
+ * scripts about one per two characters, Latin text about one per four.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  const cjk = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]/g) || []).length;
+  const otherScripts = (text.match(/[\u0400-\u052f\u0590-\u06ff\u0e00-\u0e7f]/g) || []).length;
+  const latin = text.length - cjk - otherScripts;
+  return Math.ceil(cjk + otherScripts / 2 + latin / 4);
+}
+
+/**
+ * Resolve context / output limits for a provider + model.
+ * @returns {{ context: number, output: number|null }}
+ */
+function getModelTokenLimits(providerId, model) {
+  const def = PROVIDER_DEFAULTS[providerId] || PROVIDER_DEFAULTS.custom;
+  const name = (model || '').toLowerCase();
+  const known = name && MODEL_TOKEN_LIMITS.find(entry => name.startsWith(entry.prefix));
+  if (known) return { context: known.context, output: known.output };
+  return { context: def.contextWindow, output: def.maxOutputTokens || null };
+}
+
+/**
+ * Input token budget for one batch, so the expected output still fits in
+ * the model's output limit and the whole exchange fits in its context.
+ * Machine translation providers have no output limit; `contextWindow`
+ * is their request size limit.
+ * @returns {number}
+ */
+function getBatchTokenBudget(providerId, model) {
+  const { context, output } = getModelTokenLimits(providerId, model);
+  if (!output) {
+    return Math.max(1, Math.min(TARGET_BATCH_TOKENS, context));
+  }
+  return Math.max(1, Math.min(
+    TARGET_BATCH_TOKENS,
+    Math.floor(output / OUTPUT_EXPANSION),
+    // Input plus expected output must fit in the context window
+    Math.floor((context - PROMPT_OVERHEAD_TOKENS) / (1 + OUTPUT_EXPANSION))
+  ));
+}
+
 // ==================== Shared Translation Parsing ====================
 
 /**
@@ -210,6 +488,11 @@ function parseTranslationError(error) {
     return { key: 'errorServerError', message: '服务器暂时不可用' };
   }
 
+  // Content safety (Gemini safety filter etc.)
+  if (msg.includes('safety') || msg.includes('blocked')) {
+    return { key: 'errorContentBlocked', message: '内容被安全策略拦截' };
+  }
+
   // Model
   if (msg.includes('model') && (msg.includes('not found') || msg.includes('does not exist'))) {
     return { key: 'errorModelNotFound', message: '模型未找到' };
@@ -223,3 +506,20 @@ function parseTranslationError(error) {
   // Unknown
   return { key: 'errorUnknown', message: msg.substring(0, 100) || '未知错误' };
 }
+
+// ==================== Service Worker Access ====================
+
+/**
+ * The service worker is an ES module and imports this file for its side
+ * effects; top-level declarations stay module-scoped there, so the parts it
+ * uses are also published on globalThis.
+ */
+globalThis.OIT_SHARED = {
+  checkNeedsAppId,
+  findActiveProfile,
+  getProviderRuntimeConfig,
+  estimateTokens,
+  getModelTokenLimits,
+  PER_ITEM_OVERHEAD_TOKENS,
+  OUTPUT_EXPANSION
+};